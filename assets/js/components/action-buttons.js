@@ -65,57 +65,52 @@
             this.setButtonState($button, true);
 
             // Make AJAX request
-            $.post(ajaxurl, requestData)
-                .done((response) => {
-                    this.handleResponse(response, $button);
+            WPFlyout.request(requestData, {flyout: $button})
+                .then(data => {
+                    this.handleResponse(data, $button);
                 })
-                .fail(() => {
-                    this.handleError('Connection failed. Please try again.', $button);
+                .catch(error => {
+                    if (!error.aborted) {
+                        this.handleError(error.message, $button);
+                    }
                 })
-                .always(() => {
+                .finally(() => {
                     this.setButtonState($button, false);
                 });
         },
 
         /**
-         * Handle AJAX response
+         * Handle successful AJAX response
          *
-         * @param {Object} response Server response
+         * @param {Object} data Response data
          * @param {jQuery} $button Button element
          */
-        handleResponse: function (response, $button) {
+        handleResponse: function (data, $button) {
             const $flyout = $button.closest('.wp-flyout');
             const $body = $flyout.find('.wp-flyout-body');
 
-            if (response.success) {
-                const message = response.data?.message || 'Action completed successfully';
-                this.showAlert($flyout, message, 'success');
-                $body.animate({scrollTop: 0}, 300);
-
-                // Only reload if explicitly requested
-                if (response.data?.reload === true) {
-                    setTimeout(() => {
-                        location.reload();
-                    }, 1500);
-                } else if (response.data?.refresh_flyout === true) {
-                    // Optional: refresh just this flyout's content
-                    setTimeout(() => {
-                        this.reloadFlyout($flyout);
-                    }, 1500);
-                }
+            const message = data?.message || 'Action completed successfully';
+            this.showAlert($flyout, message, 'success');
+            $body.animate({scrollTop: 0}, 300);
 
-                // Update UI elements if data provided
-                if (response.data?.updates) {
-                    this.updateUI(response.data.updates);
-                }
+            // Only reload if explicitly requested
+            if (data?.reload === true) {
+                setTimeout(() => {
+                    location.reload();
+                }, 1500);
+            } else if (data?.refresh_flyout === true) {
+                // Optional: refresh just this flyout's content
+                setTimeout(() => {
+                    this.reloadFlyout($flyout);
+                }, 1500);
+            }
 
-                $button.trigger('actionbuttons:success', response.data);
-            } else {
-                const errorMsg = response.data || 'An error occurred';
-                this.showAlert($flyout, errorMsg, 'error');
-                $body.animate({scrollTop: 0}, 300);
-                $button.trigger('actionbuttons:error', errorMsg);
+            // Update UI elements if data provided
+            if (data?.updates) {
+                this.updateUI(data.updates);
             }
+
+            $button.trigger('actionbuttons:success', data);
         },
 
         // New method to update specific UI elements
@@ -126,7 +121,7 @@
         },
 
         /**
-         * Handle connection error
+         * Handle request error
          *
          * @param {string} message Error message
          * @param {jQuery} $button Button element
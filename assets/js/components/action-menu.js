@@ -90,47 +90,42 @@
             this.setItemState($item, true);
 
             // Make AJAX request
-            $.post(ajaxurl, requestData)
-                .done((response) => {
-                    this.handleResponse(response, $item);
+            WPFlyout.request(requestData, {flyout: $item})
+                .then(data => {
+                    this.handleResponse(data, $item);
                 })
-                .fail(() => {
-                    this.handleError('Connection failed. Please try again.', $item);
+                .catch(error => {
+                    if (!error.aborted) {
+                        this.handleError(error.message, $item);
+                    }
                 })
-                .always(() => {
+                .finally(() => {
                     this.setItemState($item, false);
                     this.closeAllMenus();
                 });
         },
 
-        handleResponse: function (response, $item) {
+        handleResponse: function (data, $item) {
             const $flyout = $item.closest('.wp-flyout');
             const $body = $flyout.find('.wp-flyout-body');
 
-            if (response.success) {
-                const message = response.data?.message || 'Action completed successfully';
-                this.showAlert($flyout, message, 'success');
-                $body.animate({scrollTop: 0}, 300);
-
-                // Handle reload/refresh as needed
-                if (response.data?.reload === true) {
-                    setTimeout(() => {
-                        location.reload();
-                    }, 1500);
-                }
+            const message = data?.message || 'Action completed successfully';
+            this.showAlert($flyout, message, 'success');
+            $body.animate({scrollTop: 0}, 300);
 
-                // Update UI elements if data provided
-                if (response.data?.updates) {
-                    this.updateUI(response.data.updates);
-                }
+            // Handle reload/refresh as needed
+            if (data?.reload === true) {
+                setTimeout(() => {
+                    location.reload();
+                }, 1500);
+            }
 
-                $item.trigger('actionmenu:success', response.data);
-            } else {
-                const errorMsg = response.data || 'An error occurred';
-                this.showAlert($flyout, errorMsg, 'error');
-                $body.animate({scrollTop: 0}, 300);
-                $item.trigger('actionmenu:error', errorMsg);
+            // Update UI elements if data provided
+            if (data?.updates) {
+                this.updateUI(data.updates);
             }
+
+            $item.trigger('actionmenu:success', data);
         },
 
         handleError: function (message, $item) {
@@ -3,6 +3,39 @@
  *
  * Dynamic select dropdown with AJAX search functionality
  *
+ * A select with the multiple attribute shows its values as removable chips.
+ * data-max caps the number of values and data-sortable lets the chips be
+ * reordered by drag, which also reorders the submitted values.
+ *
+ * Searches send `search` and `page`. A callback may return the results
+ * directly, or { results: [...], has_more: true } to load further pages
+ * when the results list is scrolled to the bottom; a visible list too short
+ * to scroll loads up to data-auto-pages (5) more pages by itself. Replies
+ * are cached per term and page (data-cache-size, 0 to disable) and a newer
+ * search aborts the one still running.
+ *
+ * Results may carry `description`, `thumbnail`, `meta`, `disabled` and
+ * `group` keys next to `value` and `text`. Consecutive results of the same
+ * group get a header. The templateResult(item, term) and
+ * templateSelection(item) options replace the markup of a result and the
+ * text shown once selected; either can be a function or the name of one in
+ * WPAjaxSelect.templates, e.g. data-template-result="product".
+ *
+ * With data-create-action or data-create-flyout, a "Create" item follows
+ * the results when none matches the term exactly. The create action gets
+ * `term` and returns the new result; a create flyout is opened nested, with
+ * the term in its data-create-field input, and its save response returns
+ * the new result as `record`. Either way the new result is then selected.
+ *
+ * Without an ajax action the existing options are filtered locally. With a
+ * minLength of 0, results load as soon as the input gets focus. A select
+ * with data-depends-on="country" sends the value of the "country" field
+ * with each search as `depends_value` (and the field name as `depends_on`),
+ * and is cleared when that field changes.
+ *
+ * The input is an ARIA combobox controlling a listbox of results, and
+ * result counts and loading states are announced to screen readers.
+ *
  * @package ArrayPress\WPFlyout
  * @version 3.0.0
  */
@@ -39,18 +72,47 @@
                 ajax: null,
                 nonce: null,
                 minLength: 2,
-                delay: 300
+                delay: 300,
+                multiple: this.$select.prop('multiple'),
+                max: 0,
+                sortable: false,
+                cacheSize: 20,
+                autoPages: 5,
+                templateResult: null,
+                templateSelection: null,
+                createAction: '',
+                createNonce: '',
+                createFlyout: '',
+                createManager: '',
+                createField: '',
+                createText: 'Create "%s"',
+                dependsOn: ''
             }, dataOptions, options);
 
+            // Static options filter locally, so show them all by default
+            this.isStatic = !this.options.ajax;
+            if (this.isStatic && dataOptions.minLength === undefined && options.minLength === undefined) {
+                this.options.minLength = 0;
+            }
+
             this.searchTimeout = null;
+            this.cache = new Map();
+            this.controller = null;
+            this.term = '';
+            this.page = 1;
+            this.hasMore = false;
+            this.loading = false;
+            this.group = null;
             this.init();
         }
 
         init() {
-            // Must have ajax action
-            if (!this.options.ajax) {
-                console.warn('WPAjaxSelect: No ajax action specified');
-                return;
+            // Without an ajax action the existing options are searched
+            if (this.isStatic) {
+                this.staticOptions = this.$select.find('option')
+                    .filter((i, option) => option.value !== '')
+                    .map((i, option) => ({value: option.value, text: $.trim($(option).text())}))
+                    .get();
             }
 
             this.$select.hide();
@@ -62,8 +124,10 @@
             this.$chevron = $('<span class="dashicons dashicons-arrow-down-alt2"></span>');
             this.$clear = $('<span class="wp-ajax-select-clear" style="display:none">×</span>');
             this.$results = $('<div class="wp-ajax-select-results" style="display:none">');
+            this.$status = $('<div class="screen-reader-text" role="status" aria-live="polite"></div>');
 
             this.$input.attr('placeholder', this.options.placeholder);
+            this.initAria();
 
             this.$wrapper
                 .append(this.$input)
@@ -72,18 +136,184 @@
 
             this.$container
                 .append(this.$wrapper)
-                .append(this.$results);
+                .append(this.$results)
+                .append(this.$status);
 
             this.$select.after(this.$container);
 
-            // Handle initial value - NO AJAX if we have the text!
-            const $selected = this.$select.find('option:selected');
-            if ($selected.length && $selected.val()) {
-                const trimmedText = $.trim($selected.text());
-                this.setSelected($selected.val(), trimmedText);
+            if (this.options.multiple) {
+                this.initMultiple();
+            } else {
+                // Handle initial value - NO AJAX if we have the text!
+                const $selected = this.$select.find('option:selected');
+                if ($selected.length && $selected.val()) {
+                    const trimmedText = $.trim($selected.text());
+                    this.setSelected($selected.val(), trimmedText);
+                }
             }
 
             this.bindEvents();
+            this.bindParent();
+        }
+
+        // Combobox and listbox roles, labelled by the select's label
+        initAria() {
+            const id = 'wp-ajax-select-' + (++WPAjaxSelect.count);
+            const selectId = this.$select.attr('id');
+            const $label = selectId ? $('label[for="' + selectId + '"]').first() : $();
+
+            this.id = id;
+            this.optionCount = 0;
+
+            this.$results.attr({id: id + '-listbox', role: 'listbox'});
+            this.$input.attr({
+                id: id + '-input',
+                role: 'combobox',
+                autocomplete: 'off',
+                'aria-autocomplete': 'list',
+                'aria-haspopup': 'listbox',
+                'aria-expanded': 'false',
+                'aria-controls': id + '-listbox'
+            });
+
+            if ($label.length) {
+                if (!$label.attr('id')) {
+                    $label.attr('id', id + '-label');
+                }
+
+                this.$input.attr('aria-labelledby', $label.attr('id'));
+                this.$results.attr('aria-labelledby', $label.attr('id'));
+            } else if (this.options.placeholder) {
+                this.$input.attr('aria-label', this.options.placeholder);
+            }
+
+            if (this.options.multiple) {
+                this.$results.attr('aria-multiselectable', 'true');
+            }
+
+            this.$chevron.attr('aria-hidden', 'true');
+            this.$clear.attr({role: 'button', tabindex: '0', 'aria-label': 'Clear selection'});
+        }
+
+        open() {
+            this.$results.show();
+            this.$input.attr('aria-expanded', 'true');
+        }
+
+        close() {
+            this.$results.hide();
+            this.$results.find('.active').removeClass('active').attr('aria-selected', 'false');
+            this.$input.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+        }
+
+        isOpen() {
+            return this.$input.attr('aria-expanded') === 'true';
+        }
+
+        // Make a result active and scroll it into view
+        setActive($item) {
+            const list = this.$results[0];
+
+            this.$results.find('.active').removeClass('active').attr('aria-selected', 'false');
+
+            if (!$item.length) {
+                this.$input.removeAttr('aria-activedescendant');
+                return;
+            }
+
+            $item.addClass('active').attr('aria-selected', 'true');
+            this.$input.attr('aria-activedescendant', $item.attr('id'));
+
+            const top = $item[0].offsetTop;
+            const bottom = top + $item[0].offsetHeight;
+
+            if (top < list.scrollTop) {
+                list.scrollTop = top;
+            } else if (bottom > list.scrollTop + list.clientHeight) {
+                list.scrollTop = bottom - list.clientHeight;
+            }
+        }
+
+        // Announce a message to screen readers
+        announce(message) {
+            this.$status.text('');
+
+            // A new text node is announced even when the message repeats
+            setTimeout(() => this.$status.text(message), 50);
+        }
+
+        // Clear the select when the field it depends on changes
+        bindParent() {
+            if (!this.options.dependsOn) return;
+
+            const name = String(this.options.dependsOn);
+            const selector = '[name="' + name + '"], [name="' + name + '[]"]';
+            const $form = this.$select.closest('form');
+
+            this.$scope = $form.length ? $form : $(document.body);
+            this.parentValue = this.getParentValue();
+
+            this.$scope.on('change', selector, (e) => {
+                if (e.target === this.$select[0]) return;
+
+                const value = this.getParentValue();
+
+                if (JSON.stringify(value) === JSON.stringify(this.parentValue)) return;
+
+                this.parentValue = value;
+                this.abort();
+                this.clearCache();
+                this.clear();
+            });
+        }
+
+        getParentValue() {
+            const name = String(this.options.dependsOn);
+            const $field = this.$scope
+                .find('[name="' + name + '"], [name="' + name + '[]"]')
+                .not(this.$select);
+
+            if ($field.is(':radio, :checkbox')) {
+                const values = $field.filter(':checked').map((i, input) => input.value).get();
+                return $field.is(':checkbox') && $field.length > 1 ? values : (values[0] || '');
+            }
+
+            return $field.first().val() || '';
+        }
+
+        // Set up chips for multiple mode
+        initMultiple() {
+            this.$chips = $('<ul class="wp-ajax-select-chips">');
+            this.$container.addClass('is-multiple');
+            this.$wrapper.prepend(this.$chips);
+
+            this.$select.find('option:selected').each((i, option) => {
+                if (option.value) {
+                    this.addChip(option.value, $.trim($(option).text()));
+                }
+            });
+
+            this.$chips.on('click', '.wp-ajax-select-chip-remove', (e) => {
+                e.stopPropagation();
+                this.removeValue($(e.currentTarget).closest('.wp-ajax-select-chip').attr('data-value'));
+                this.$input.focus();
+            });
+
+            this.$wrapper.on('click', (e) => {
+                if (e.target === this.$wrapper[0] || e.target === this.$chips[0]) {
+                    this.$input.focus();
+                }
+            });
+
+            if (this.options.sortable && $.fn.sortable) {
+                this.$chips.sortable({
+                    items: '.wp-ajax-select-chip',
+                    tolerance: 'pointer',
+                    update: () => this.syncOrder()
+                });
+            }
+
+            this.updateMultiple();
         }
 
         bindEvents() {
@@ -98,7 +328,8 @@
                 const term = $(this).val().trim();
 
                 if (term.length < self.options.minLength) {
-                    self.$results.hide();
+                    self.abort();
+                    self.close();
                     return;
                 }
 
@@ -107,11 +338,25 @@
                 }, self.options.delay);
             });
 
+            // Open on focus when no minimum length is needed
+            this.$input.on('focus', () => {
+                if (this.$input.prop('readonly') || this.isOpen()) return;
+
+                if ((parseInt(this.options.minLength, 10) || 0) === 0) {
+                    this.search(this.$input.val().trim());
+                }
+            });
+
             // Clear button
             this.$clear.on('click', (e) => {
                 e.stopPropagation();
                 this.clear();
                 this.$input.focus();
+            }).on('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.$clear.trigger('click');
+                }
             });
 
             // Chevron click - toggle dropdown or focus input
@@ -126,23 +371,47 @@
                 }
             });
 
+            // Load the next page near the bottom of the results
+            this.$results.on('scroll', () => {
+                const results = this.$results[0];
+
+                if (this.hasMore && !this.loading && results.scrollTop + results.clientHeight >= results.scrollHeight - 30) {
+                    this.search(this.term, this.page + 1);
+                }
+            });
+
             // Select item
             this.$results.on('click', '.wp-ajax-select-item', (e) => {
+                this.choose($(e.currentTarget));
+            });
+
+            // Keep the active result in step with the mouse
+            this.$results.on('mousemove', '.wp-ajax-select-item:not(.is-disabled)', (e) => {
                 const $item = $(e.currentTarget);
-                this.select($item.data('value'), $item.text());
+
+                if (!$item.hasClass('active')) {
+                    this.setActive($item);
+                }
             });
 
             // Click outside closes
             $(document).on('click', (e) => {
                 if (!this.$container[0].contains(e.target)) {
-                    this.$results.hide();
+                    this.close();
                 }
             });
 
             // Keyboard navigation
             this.$input.on('keydown', (e) => {
+                // Backspace in an empty input removes the last chip
+                if (this.options.multiple && e.which === 8 && !this.$input.val()) {
+                    e.preventDefault();
+                    this.removeValue(this.$chips.find('.wp-ajax-select-chip').last().attr('data-value'));
+                    return;
+                }
+
                 // Delete/Escape to clear when readonly
-                if (this.$input.prop('readonly')) {
+                if (!this.options.multiple && this.$input.prop('readonly')) {
                     if (e.which === 8 || e.which === 46 || e.which === 27) {
                         e.preventDefault();
                         this.clear();
@@ -150,102 +419,486 @@
                     return;
                 }
 
-                const $items = this.$results.find('.wp-ajax-select-item');
-                const $active = this.$results.find('.active');
-                let index = $items.index($active);
+                const $items = this.$results.find('.wp-ajax-select-item:not(.is-disabled)');
+                const $active = $items.filter('.active');
+                const index = $items.index($active);
+                const open = this.isOpen();
+                const pageSize = 10;
 
-                switch (e.which) {
-                    case 40: // Down
+                switch (e.key) {
+                    case 'ArrowDown':
+                    case 'ArrowUp':
                         e.preventDefault();
+
+                        // Reopen the last results, or search for them
+                        if (!open) {
+                            if ($items.length) {
+                                this.open();
+                                this.setActive(e.key === 'ArrowUp' ? $items.last() : $items.first());
+                            } else if (this.$input.val().trim().length >= (parseInt(this.options.minLength, 10) || 0)) {
+                                this.search(this.$input.val().trim());
+                            }
+                            break;
+                        }
+
                         if ($items.length) {
-                            index = (index + 1) % $items.length;
-                            $items.removeClass('active').eq(index).addClass('active');
+                            const next = e.key === 'ArrowDown'
+                                ? (index + 1) % $items.length
+                                : (index <= 0 ? $items.length - 1 : index - 1);
+                            this.setActive($items.eq(next));
                         }
                         break;
-                    case 38: // Up
+                    case 'Home':
+                    case 'End':
+                        if (!open || !$items.length) return;
                         e.preventDefault();
-                        if ($items.length) {
-                            index = index <= 0 ? $items.length - 1 : index - 1;
-                            $items.removeClass('active').eq(index).addClass('active');
+                        this.setActive(e.key === 'Home' ? $items.first() : $items.last());
+                        break;
+                    case 'PageDown':
+                    case 'PageUp':
+                        if (!open || !$items.length) return;
+                        e.preventDefault();
+                        this.setActive($items.eq(e.key === 'PageDown'
+                            ? Math.min(index + pageSize, $items.length - 1)
+                            : Math.max(index - pageSize, 0)));
+                        break;
+                    case 'Enter':
+                        if (open && $active.length) {
+                            e.preventDefault();
+                            this.choose($active);
                         }
                         break;
-                    case 13: // Enter
-                        if ($active.length) {
+                    case 'Escape':
+                        if (open) {
                             e.preventDefault();
-                            this.select($active.data('value'), $active.text());
+                            e.stopPropagation();
+                            this.close();
                         }
                         break;
-                    case 27: // Escape
-                        this.$results.hide();
+                    case 'Tab':
+                        this.close();
                         break;
                 }
             });
         }
 
-        search(term) {
+        search(term, page = 1) {
+            const key = term + '\n' + page;
+
+            this.abort();
+
+            this.term = term;
+            this.page = page;
+
+            if (this.isStatic) {
+                this.hasMore = false;
+                this.showResults(this.filterStatic(term));
+                return;
+            }
+
+            // Serve repeated searches from the cache
+            if (this.cache.has(key)) {
+                const response = this.cache.get(key);
+
+                // Move to the end so the least recently used entry goes first
+                this.cache.delete(key);
+                this.cache.set(key, response);
+
+                this.handleResponse(response, page);
+                return;
+            }
+
             const data = {
                 action: this.options.ajax,
                 search: term,
+                page: page,
                 _wpnonce: this.options.nonce || ''
             };
 
+            // Fixed keys, so a parent field name can't replace action or nonce
+            if (this.options.dependsOn) {
+                data.depends_on = String(this.options.dependsOn);
+                data.depends_value = this.getParentValue();
+            }
+
+            const controller = new AbortController();
+            this.controller = controller;
+            this.loading = true;
+
             // Show loading
-            this.$results.html('<div class="wp-ajax-select-loading">Loading...</div>').show();
-
-            $.ajax({
-                url: window.ajaxurl || '/wp-admin/admin-ajax.php',
-                type: 'POST',
-                data: data,
-                success: (response) => {
-                    if (response.success && response.data) {
-                        this.showResults(response.data);
+            this.announce('Loading results...');
+
+            if (page > 1) {
+                this.$results.append('<div class="wp-ajax-select-loading" role="presentation">Loading...</div>');
+            } else {
+                this.$results.html('<div class="wp-ajax-select-loading" role="presentation">Loading...</div>');
+                this.open();
+            }
+
+            WPFlyout.request(data, {flyout: this.$container, retries: 1, signal: controller.signal})
+                .then(response => {
+                    this.remember(key, response);
+                    this.handleResponse(response, page);
+                })
+                .catch(error => {
+                    if (error.aborted) return;
+
+                    if (page > 1) {
+                        this.$results.find('.wp-ajax-select-loading').remove();
+                        this.hasMore = false;
+                        return;
+                    }
+
+                    // A failed search reply means nothing matched
+                    if (error.code === 'error') {
+                        this.showResults([]);
                     } else {
-                        this.$results.html('<div class="wp-ajax-select-empty">No results found</div>');
+                        this.$results.html('<div class="wp-ajax-select-empty" role="presentation">Error loading results</div>');
+                        this.announce('Error loading results');
                     }
-                },
-                error: () => {
-                    this.$results.html('<div class="wp-ajax-select-empty">Error loading results</div>');
-                }
-            });
+                })
+                .finally(() => {
+                    if (this.controller === controller) {
+                        this.controller = null;
+                        this.loading = false;
+                    }
+                });
+        }
+
+        // Match static options by their text
+        filterStatic(term) {
+            term = term.toLowerCase();
+
+            return this.staticOptions.filter(item => !term || item.text.toLowerCase().indexOf(term) !== -1);
+        }
+
+        // Abort the search still running, if any
+        abort() {
+            clearTimeout(this.searchTimeout);
+
+            if (this.controller) {
+                this.controller.abort();
+                this.controller = null;
+            }
+
+            this.loading = false;
+        }
+
+        // Cache a reply, dropping the least recently used one when full
+        remember(key, response) {
+            const size = parseInt(this.options.cacheSize, 10) || 0;
+
+            if (size <= 0) return;
+
+            this.cache.set(key, response);
+
+            if (this.cache.size > size) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
         }
 
-        showResults(results) {
-            this.$results.empty();
+        clearCache() {
+            this.cache.clear();
+        }
+
+        handleResponse(response, page) {
+            const paged = response && !Array.isArray(response) && Array.isArray(response.results);
+            const results = paged ? response.results : response;
+
+            this.hasMore = paged && !!response.has_more;
+            this.showResults(results || [], page > 1);
+
+            // Keep loading while the visible list is too short to scroll,
+            // up to a few pages so a tiny list can't fetch them all
+            const list = this.$results[0];
+
+            this.autoPaged = page > 1 ? this.autoPaged || 0 : 0;
 
+            if (this.hasMore && list.clientHeight > 0 && list.scrollHeight <= list.clientHeight &&
+                this.autoPaged < (parseInt(this.options.autoPages, 10) || 0)) {
+                this.autoPaged++;
+                this.search(this.term, this.page + 1);
+            }
+        }
+
+        normalizeResults(results) {
             // Handle both array and object formats
             if (!Array.isArray(results)) {
-                results = Object.entries(results).map(([value, text]) => ({
+                results = Object.entries(results || {}).map(([value, text]) => ({
                     value: String(value),
                     text: String(text)
                 }));
             }
 
-            if (!results.length) {
-                this.$results.html('<div class="wp-ajax-select-empty">No results found</div>');
+            return results;
+        }
+
+        showResults(results, append = false) {
+            results = this.normalizeResults(results);
+
+            if (append) {
+                this.$results.find('.wp-ajax-select-loading').remove();
+            } else {
+                this.$results.empty().scrollTop(0);
+                this.group = null;
+            }
+
+            // Leave out values that are already chips
+            if (this.options.multiple) {
+                const selected = this.getValues();
+                results = results.filter(item => selected.indexOf(String(item.value)) === -1);
+            }
+
+            if (!results.length && !append) {
+                this.$results.html('<div class="wp-ajax-select-empty" role="presentation">No results found</div>');
             } else {
                 results.forEach(item => {
-                    $('<div class="wp-ajax-select-item">')
-                        .text(item.text)
-                        .attr('data-value', item.value)
-                        .appendTo(this.$results);
+                    const group = item.group ? String(item.group) : null;
+
+                    // Header for each run of results in the same group
+                    if (group && group !== this.group) {
+                        $('<div class="wp-ajax-select-group" role="presentation">').text(group).appendTo(this.$results);
+                    }
+
+                    this.group = group;
+                    this.renderItem(item).appendTo(this.$results);
                 });
             }
 
-            this.$results.show();
+            this.updateCreateItem();
+            this.open();
+
+            const count = this.$results.find('.wp-ajax-select-item:not(.wp-ajax-select-create)').length;
+            const canCreate = this.$results.find('.wp-ajax-select-create').length > 0;
+
+            if (count) {
+                this.announce(count + (count === 1 ? ' result' : ' results') + ' available' + (this.hasMore ? ', more load as you scroll' : '') + '. Use up and down arrow keys to navigate.');
+            } else {
+                this.announce(canCreate ? 'No results found. Press down to create a new item.' : 'No results found');
+            }
+        }
+
+        // Offer to create the term, last in the list, unless it matches a result exactly
+        updateCreateItem() {
+            const term = $.trim(this.term || '');
+
+            this.$results.find('.wp-ajax-select-create').remove();
+
+            if (!term || !this.canCreate()) return;
+
+            const exists = this.$results.find('.wp-ajax-select-item').filter((i, element) => {
+                const item = $(element).data('item');
+                return item && String(item.text).toLowerCase() === term.toLowerCase();
+            }).length > 0;
+
+            if (exists) return;
+
+            this.$results.find('.wp-ajax-select-empty').remove();
+
+            $('<div class="wp-ajax-select-item wp-ajax-select-create" role="option" aria-selected="false">')
+                .attr('id', this.id + '-option-create')
+                .append('<span class="dashicons dashicons-plus-alt2" aria-hidden="true"></span>')
+                .append($('<span>').text(String(this.options.createText).replace('%s', term)))
+                .appendTo(this.$results);
+        }
+
+        canCreate() {
+            return !!(this.options.createAction || (this.options.createFlyout && this.options.createManager));
+        }
+
+        // Create a record for the term, then select it
+        create(term) {
+            const $item = this.$results.find('.wp-ajax-select-create');
+
+            if (this.options.createAction) {
+                if ($item.hasClass('is-loading')) return Promise.resolve();
+
+                $item.addClass('is-loading').find('span:last').text('Creating...');
+
+                return WPFlyout.request({
+                    action: this.options.createAction,
+                    term: term,
+                    _wpnonce: this.options.createNonce || ''
+                }, {flyout: this.$container})
+                    .then(item => this.selectCreated(item))
+                    .catch(error => {
+                        this.close();
+                        WPFlyout.Request.report(error, this.$container);
+                    });
+            }
+
+            this.close();
+
+            return WPFlyout.load({
+                manager: this.options.createManager,
+                flyout: this.options.createFlyout,
+                nonce: this.options.createNonce
+            }).then(element => {
+                if (this.options.createField) {
+                    $(element).find('[name="' + this.options.createField + '"]').first().val(term).trigger('input');
+                }
+
+                const done = () => $(document).off('wpflyout:saved', saved).off('wpflyout:closed', closed);
+
+                const saved = (e, data) => {
+                    if (data.id !== element.id) return;
+
+                    done();
+
+                    if (data.response && data.response.record) {
+                        try {
+                            this.selectCreated(data.response.record);
+
+                            // Keep the parent flyout from reloading over the selection
+                            e.preventDefault();
+                        } catch (error) {
+                            WPFlyout.Request.report(error, this.$container);
+                        }
+                    }
+                };
+
+                // Closing without saving creates nothing
+                const closed = (e, data) => {
+                    if (data.id === element.id) {
+                        setTimeout(() => {
+                            if (!WPFlyout.active.includes(element.id)) done();
+                        }, 2000);
+                    }
+                };
+
+                $(document).on('wpflyout:saved', saved).on('wpflyout:closed', closed);
+            }).catch(error => WPFlyout.Request.report(error, this.$container));
+        }
+
+        selectCreated(item) {
+            item = this.normalizeResults([].concat(item || []))[0];
+
+            if (!item || item.value === undefined) {
+                throw new Error('No record was created');
+            }
+
+            // Searches cached before the record existed are out of date
+            this.clearCache();
+
+            const template = this.getTemplate('templateSelection');
+            const text = template ? template.call(this, item) : item.text;
+
+            this.select(item.value, String(text === undefined ? item.value : text));
+            this.$select.trigger('ajaxselect:created', {item: item});
+        }
+
+        renderItem(item) {
+            const $item = $('<div class="wp-ajax-select-item" role="option" aria-selected="false">')
+                .attr({id: this.id + '-option-' + (++this.optionCount), 'data-value': item.value})
+                .data('item', item)
+                .toggleClass('is-disabled', !!item.disabled)
+                .toggleClass('in-group', !!item.group);
+
+            if (item.disabled) {
+                $item.attr('aria-disabled', 'true');
+            }
+
+            const template = this.getTemplate('templateResult');
+            if (template) {
+                return $item.append(template.call(this, item, this.term));
+            }
+
+            if (item.thumbnail) {
+                $('<img class="wp-ajax-select-thumbnail" alt="">').attr('src', item.thumbnail).appendTo($item);
+            }
+
+            const $body = $('<div class="wp-ajax-select-item-body">').appendTo($item);
+
+            $('<div class="wp-ajax-select-item-text">').html(this.highlight(item.text)).appendTo($body);
+
+            if (item.description) {
+                $('<div class="wp-ajax-select-item-description">').html(this.highlight(item.description)).appendTo($body);
+            }
+
+            if (item.meta !== undefined && item.meta !== null && item.meta !== '') {
+                $('<span class="wp-ajax-select-item-meta">')
+                    .text([].concat(item.meta).join(' · '))
+                    .appendTo($item);
+            }
+
+            return $item;
+        }
+
+        // Escape text and wrap matches of the search term in <mark>
+        highlight(text) {
+            const escape = value => $('<div>').text(value).html();
+            const term = $.trim(this.term || '');
+
+            text = String(text === undefined || text === null ? '' : text);
+
+            if (!term) {
+                return escape(text);
+            }
+
+            const pattern = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+            let html = '';
+            let last = 0;
+
+            text.replace(pattern, (match, offset) => {
+                html += escape(text.slice(last, offset)) + '<mark>' + escape(match) + '</mark>';
+                last = offset + match.length;
+                return match;
+            });
+
+            return html + escape(text.slice(last));
+        }
+
+        // Resolve a template option to a function
+        getTemplate(name) {
+            const template = this.options[name];
+
+            if (typeof template === 'function') {
+                return template;
+            }
+
+            return typeof template === 'string' && typeof WPAjaxSelect.templates[template] === 'function'
+                ? WPAjaxSelect.templates[template]
+                : null;
+        }
+
+        // Select a rendered result
+        choose($item) {
+            if ($item.hasClass('wp-ajax-select-create')) {
+                this.create($.trim(this.term || ''));
+                return;
+            }
+
+            const item = $item.data('item');
+
+            if (!item || item.disabled) return;
+
+            const template = this.getTemplate('templateSelection');
+            const text = template ? template.call(this, item) : item.text;
+
+            this.select(item.value, String(text));
+            this.$select.trigger('ajaxselect:selected', {item: item});
         }
 
         select(value, text) {
             // Trim the text
             text = $.trim(text);
 
+            // A search still running would reopen the results
+            this.abort();
+
+            if (this.options.multiple) {
+                this.addValue(value, text);
+                return;
+            }
+
             // Add option if it doesn't exist
-            if (!this.$select.find(`option[value="${value}"]`).length) {
-                this.$select.append(`<option value="${value}">${text}</option>`);
+            if (!this.findOption(value).length) {
+                this.$select.append($('<option>').val(value).text(text));
             }
 
             this.$select.val(value).trigger('change');
             this.setSelected(value, text);
-            this.$results.hide();
+            this.close();
         }
 
         setSelected(value, text) {
@@ -257,17 +910,139 @@
         }
 
         clear() {
+            if (this.options.multiple) {
+                this.$select.find('option').prop('selected', false);
+                this.$chips.empty();
+                this.$input.val('');
+                this.close();
+                this.updateMultiple();
+                this.$select.trigger('change');
+                return;
+            }
+
             this.$select.val('').trigger('change');
             this.$input.val('').prop('readonly', false);
             this.$clear.hide();
-            this.$results.hide();
+            this.close();
             this.$container.removeClass('has-value');
         }
 
+        // Add a value in multiple mode, unless present or at the maximum
+        addValue(value, text) {
+            value = String(value);
+
+            if (this.getValues().indexOf(value) !== -1) {
+                this.$input.val('');
+                this.close();
+                return false;
+            }
+
+            if (this.isFull()) {
+                this.$input.addClass('error');
+                setTimeout(() => this.$input.removeClass('error'), 300);
+                return false;
+            }
+
+            let $option = this.findOption(value);
+            if (!$option.length) {
+                $option = $('<option>').val(value).text(text);
+            }
+
+            // Keep the options in chip order so values submit in that order
+            $option.prop('selected', true).appendTo(this.$select);
+
+            this.addChip(value, text);
+            this.$input.val('');
+            this.close();
+            this.updateMultiple();
+            this.$select.trigger('change');
+
+            return true;
+        }
+
+        // Remove a value in multiple mode
+        removeValue(value) {
+            if (value === undefined) return;
+
+            this.findOption(value).prop('selected', false);
+            this.$chips.find('.wp-ajax-select-chip').filter((i, chip) => chip.getAttribute('data-value') === String(value)).remove();
+            this.updateMultiple();
+            this.$select.trigger('change');
+        }
+
+        addChip(value, text) {
+            const $chip = $('<li class="wp-ajax-select-chip">').attr('data-value', value);
+
+            $('<span class="wp-ajax-select-chip-text">').text(text).appendTo($chip);
+            $('<button type="button" class="wp-ajax-select-chip-remove">')
+                .attr('aria-label', 'Remove ' + text)
+                .html('<span class="dashicons dashicons-no-alt"></span>')
+                .appendTo($chip);
+
+            this.$chips.append($chip);
+        }
+
+        // Reorder the options to match the dragged chips
+        syncOrder() {
+            this.$chips.find('.wp-ajax-select-chip').each((i, chip) => {
+                this.findOption(chip.getAttribute('data-value')).appendTo(this.$select);
+            });
+
+            this.$select.trigger('change');
+        }
+
+        // Reflect the number of values in the UI
+        updateMultiple() {
+            const count = this.getValues().length;
+            const full = this.isFull();
+
+            this.$container.toggleClass('has-value', count > 0).toggleClass('is-full', full);
+            this.$input
+                .prop('readonly', full)
+                .attr('placeholder', count ? '' : this.options.placeholder);
+            this.$clear.toggle(count > 0);
+        }
+
+        isFull() {
+            const max = parseInt(this.options.max, 10) || 0;
+
+            return max > 0 && this.getValues().length >= max;
+        }
+
+        // Selected values in order
+        getValues() {
+            return this.$select.find('option:selected')
+                .map((i, option) => option.value)
+                .get()
+                .filter(value => value !== '');
+        }
+
+        findOption(value) {
+            return this.$select.find('option').filter((i, option) => option.value === String(value));
+        }
+
         // Public method to set value programmatically
         val(value, text) {
             if (value === undefined) {
-                return this.$select.val();
+                return this.options.multiple ? this.getValues() : this.$select.val();
+            }
+
+            // Multiple mode takes an array of values and replaces the selection
+            if (this.options.multiple) {
+                this.$select.find('option').prop('selected', false);
+                this.$chips.empty();
+
+                [].concat(value).forEach(item => {
+                    const $option = this.findOption(item);
+                    if ($option.length) {
+                        this.addValue(item, $.trim($option.text()));
+                    }
+                });
+
+                this.updateMultiple();
+                this.$select.trigger('change');
+
+                return this;
             }
 
             if (text) {
@@ -275,7 +1050,7 @@
                 this.select(value, $.trim(text));
             } else {
                 // Only have value - check for existing option
-                const $option = this.$select.find(`option[value="${value}"]`);
+                const $option = this.findOption(value);
                 if ($option.length) {
                     this.select(value, $.trim($option.text()));
                 }
@@ -285,9 +1060,17 @@
         }
     }
 
+    // Named result and selection templates, see templateResult
+    WPAjaxSelect.templates = {};
+
+    // Instances created, used for unique element IDs
+    WPAjaxSelect.count = 0;
+
     // jQuery plugin
     $.fn.wpAjaxSelect = function (options) {
         return this.each(function () {
+            if ($(this).data('wpAjaxSelectInitialized')) return;
+
             const instance = new WPAjaxSelect(this, options);
             $(this).data('wpAjaxSelect', instance);
         });
@@ -295,14 +1078,14 @@
 
     // Auto-initialize on ready
     $(document).ready(function () {
-        $('[data-ajax]').wpAjaxSelect();
+        $('select[data-ajax]').wpAjaxSelect();
     });
 
     // Initialize in flyouts
     $(document).on('wpflyout:opened', function (e, data) {
         $(data.element).find('select[data-ajax]').each(function () {
             if (!$(this).data('wpAjaxSelectInitialized')) {
-                new WPAjaxSelect(this);
+                $(this).data('wpAjaxSelect', new WPAjaxSelect(this));
             }
         });
     });
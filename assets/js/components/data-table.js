@@ -0,0 +1,718 @@
+/**
+ * DataTable Component JavaScript
+ *
+ * Adds client-side sorting, quick search, pagination and row selection to
+ * .wp-flyout-data-table. Each feature is enabled by the markup the PHP
+ * component renders: headers with data-sort-type are sortable, a
+ * .datatable-search box filters rows, data-per-page paginates and
+ * data-selectable adds row checkboxes whose bulk action buttons go through
+ * the ActionButtons AJAX convention.
+ *
+ * Tables with a data-ajax action load each page from the server instead,
+ * sending page, per_page, orderby, order, search and the record id. The
+ * response carries the rendered rows as `html` and the row count as
+ * `total`.
+ *
+ * Events triggered on the table:
+ * - datatable:updated   After sorting, filtering or paging
+ * - datatable:selection When the selected rows change
+ *
+ * @package     ArrayPress\WPFlyout
+ * @version     1.0.0
+ */
+(function ($) {
+    'use strict';
+
+    /**
+     * DataTable controller
+     *
+     * @namespace WPFlyoutDataTable
+     * @since 1.1.0
+     */
+    const DataTable = {
+
+        /**
+         * Delay before a search is applied, in ms
+         *
+         * @type {number}
+         */
+        searchDelay: 200,
+
+        /**
+         * Value parsers keyed by column type
+         *
+         * Each returns a comparable value, or null for empty values which
+         * always sort last.
+         *
+         * @type {Object<string, Function>}
+         */
+        parsers: {
+            text: value => value.trim() === '' ? null : value.trim(),
+            number: value => DataTable.parseNumber(value),
+            currency: value => DataTable.parseNumber(value),
+            date: value => {
+                const time = Date.parse(value);
+                return isNaN(time) ? null : time;
+            }
+        },
+
+        /**
+         * Initialize the component
+         *
+         * @since 1.1.0
+         * @return {void}
+         */
+        init: function () {
+            this.setupAll($(document));
+
+            $(document).on('wpflyout:opened', (e, data) => this.setupAll($(data.element)));
+
+            $(document)
+                .on('click', '.wp-flyout-data-table .datatable-sort', e => {
+                    e.preventDefault();
+                    this.sort($(e.currentTarget).closest('th'));
+                })
+                .on('input', '.datatable-search', e => {
+                    const $input = $(e.currentTarget);
+
+                    clearTimeout($input.data('searchTimer'));
+                    $input.data('searchTimer', setTimeout(() => {
+                        this.search(this.getTable($input), $input.val());
+                    }, this.searchDelay));
+                })
+                .on('keydown', '.datatable-search', e => {
+                    // Don't submit the surrounding flyout form
+                    if (e.key === 'Enter') e.preventDefault();
+                })
+                .on('click', '.datatable-pagination .datatable-prev, .datatable-pagination .datatable-next', e => {
+                    e.preventDefault();
+                    const $button = $(e.currentTarget);
+                    const $table = this.getTable($button);
+
+                    this.goToPage($table, $table.data('datatable').page + ($button.hasClass('datatable-next') ? 1 : -1));
+                })
+                .on('change', '.wp-flyout-data-table .datatable-select-row', e => {
+                    this.selectRow($(e.currentTarget).closest('.wp-flyout-data-table'), e.currentTarget, e.currentTarget.checked);
+                    this.updateSelection($(e.currentTarget).closest('.wp-flyout-data-table'));
+                })
+                .on('change', '.wp-flyout-data-table .datatable-select-all', e => {
+                    this.selectPage($(e.currentTarget).closest('.wp-flyout-data-table'), e.currentTarget.checked);
+                })
+                .on('click', '.datatable-clear-selection', e => {
+                    e.preventDefault();
+                    this.clearSelection(this.getTable($(e.currentTarget)));
+                })
+                .on('click', '.datatable-bulk-btn', e => {
+                    e.preventDefault();
+                    this.handleBulkAction($(e.currentTarget));
+                })
+                .on('actionbuttons:success', '.datatable-bulk-btn', (e, data) => {
+                    this.handleBulkSuccess($(e.currentTarget), data);
+                });
+        },
+
+        /**
+         * Set up every table inside a container
+         *
+         * @since 1.1.0
+         * @param {jQuery} $container Container element
+         * @return {void}
+         */
+        setupAll: function ($container) {
+            $container.find('.wp-flyout-data-table').each((i, table) => this.setup($(table)));
+        },
+
+        /**
+         * Set up a table
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @return {void}
+         */
+        setup: function ($table) {
+            if ($table.data('datatable')) return;
+
+            const state = {
+                rows: $table.children('tbody').children('tr').filter(function () {
+                    return !$(this).children('.empty-row').length;
+                }).get(),
+                sortIndex: -1,
+                sortDir: 'asc',
+                sortType: 'text',
+                query: '',
+                page: 1,
+                perPage: parseInt($table.attr('data-per-page'), 10) || 0,
+                selected: [],
+                ajax: $table.is('[data-ajax]'),
+                request: 0
+            };
+
+            if (state.ajax && state.perPage <= 0) {
+                state.perPage = 20;
+            }
+
+            $table.data('datatable', state);
+
+            if (state.perPage > 0) {
+                $table.after(this.createPagination());
+            }
+
+            this.refresh($table);
+        },
+
+        /**
+         * Show the current view, loading it from the server when needed
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @return {void}
+         */
+        refresh: function ($table) {
+            if ($table.data('datatable').ajax) {
+                this.load($table);
+            } else {
+                this.render($table);
+            }
+        },
+
+        /**
+         * Load the current page from the server
+         *
+         * Responses to superseded requests are ignored. On failure the
+         * current rows stay in place and the error is reported.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @return {Promise<void>}
+         */
+        load: function ($table) {
+            const state = $table.data('datatable');
+            const request = ++state.request;
+            const $th = state.sortIndex >= 0 ? $table.find('thead tr').first().children().eq(state.sortIndex) : $();
+
+            this.setLoading($table, true);
+
+            return WPFlyout.request({
+                action: $table.attr('data-ajax'),
+                _wpnonce: $table.attr('data-nonce'),
+                page: state.page,
+                per_page: state.perPage,
+                orderby: state.sortIndex >= 0 ? $th.attr('data-column') || '' : '',
+                order: state.sortDir,
+                search: state.query,
+                id: $table.closest('form').find('input[name="id"]').val() || ''
+            }, {flyout: $table, retries: 1})
+                .then(data => {
+                    if (request !== state.request) return;
+
+                    const total = parseInt(data && data.total, 10) || 0;
+                    const pages = Math.max(1, Math.ceil(total / state.perPage));
+
+                    // The page emptied, e.g. after a bulk delete
+                    if (state.page > pages) {
+                        state.page = pages;
+                        return this.load($table);
+                    }
+
+                    const $rows = $($.parseHTML($.trim(data && data.html || ''))).filter('tr');
+                    const $tbody = $table.children('tbody').empty();
+
+                    state.rows = $rows.get();
+
+                    if (state.rows.length) {
+                        $tbody.append($rows);
+                        $rows.find('.datatable-select-row').each((i, box) => {
+                            this.selectRow($table, box, state.selected.includes(box.value));
+                        });
+                    } else {
+                        $tbody.append(this.createEmptyRow($table, state.query
+                            ? $table.attr('data-no-results-text')
+                            : $table.attr('data-empty-text')));
+                    }
+
+                    this.updatePagination($table, (state.page - 1) * state.perPage, state.rows.length, total, pages);
+                    this.updateSelection($table);
+                    this.setLoading($table, false);
+
+                    $table.trigger('datatable:updated', {total: total, page: state.page, pages: pages});
+                })
+                .catch(error => {
+                    if (request !== state.request) return;
+
+                    this.setLoading($table, false);
+                    WPFlyout.Request.report(error, $table);
+                });
+        },
+
+        /**
+         * Toggle the loading overlay
+         *
+         * @since 1.1.0
+         * @param {jQuery}  $table  Table element
+         * @param {boolean} loading Whether the table is loading
+         * @return {void}
+         */
+        setLoading: function ($table, loading) {
+            $table.closest('.datatable-wrapper').toggleClass('is-loading', loading)
+                .find('.datatable-loading').prop('hidden', !loading);
+
+            if (loading) {
+                $table.attr('aria-busy', 'true');
+            } else {
+                $table.removeAttr('aria-busy');
+            }
+        },
+
+        /**
+         * Create the pagination controls
+         *
+         * @since 1.1.0
+         * @return {jQuery} Pagination element
+         */
+        createPagination: function () {
+            return $(
+                '<div class="datatable-pagination">' +
+                '<span class="datatable-page-info" aria-live="polite"></span>' +
+                '<span class="datatable-page-links">' +
+                '<button type="button" class="button datatable-prev" aria-label="Previous page">&lsaquo;</button>' +
+                '<span class="datatable-page-current"></span>' +
+                '<button type="button" class="button datatable-next" aria-label="Next page">&rsaquo;</button>' +
+                '</span>' +
+                '</div>'
+            );
+        },
+
+        /**
+         * Get the table a toolbar, pagination or bulk element belongs to
+         *
+         * @since 1.1.0
+         * @param {jQuery} $element Element inside the table wrapper
+         * @return {jQuery} Table element
+         */
+        getTable: function ($element) {
+            return $element.closest('.datatable-wrapper').find('.wp-flyout-data-table').first();
+        },
+
+        /**
+         * Get the rows matching the search, in sort order
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @return {Array<HTMLElement>} Rows
+         */
+        getRows: function ($table) {
+            const state = $table.data('datatable');
+            const terms = state.query.split(/\s+/).filter(Boolean);
+            let rows = state.rows;
+
+            if (terms.length) {
+                rows = rows.filter(row => {
+                    const text = row.textContent.toLowerCase();
+                    return terms.every(term => text.includes(term));
+                });
+            }
+
+            if (state.sortIndex >= 0) {
+                rows = this.sortRows(rows, state.sortIndex, state.sortDir, state.sortType);
+            }
+
+            return rows;
+        },
+
+        /**
+         * Sort rows by a column
+         *
+         * Ties keep their original order. Empty values sort last in both
+         * directions.
+         *
+         * @since 1.1.0
+         * @param {Array<HTMLElement>} rows  Rows
+         * @param {number}             index Column index
+         * @param {string}             dir   'asc' or 'desc'
+         * @param {string}             type  Column type
+         * @return {Array<HTMLElement>} Sorted rows
+         */
+        sortRows: function (rows, index, dir, type) {
+            const parse = this.parsers[type] || this.parsers.text;
+            const direction = dir === 'desc' ? -1 : 1;
+
+            return rows
+                .map((row, i) => ({row: row, i: i, value: parse(this.getCellValue(row, index))}))
+                .sort((a, b) => {
+                    if (a.value === null || b.value === null) {
+                        if (a.value === b.value) return a.i - b.i;
+                        return a.value === null ? 1 : -1;
+                    }
+
+                    const result = typeof a.value === 'number'
+                        ? a.value - b.value
+                        : String(a.value).localeCompare(String(b.value), undefined, {numeric: true, sensitivity: 'base'});
+
+                    return result * direction || a.i - b.i;
+                })
+                .map(item => item.row);
+        },
+
+        /**
+         * Get the value a cell is sorted by
+         *
+         * @since 1.1.0
+         * @param {HTMLElement} row   Table row
+         * @param {number}      index Column index
+         * @return {string} Raw value from data-sort-value, or the cell text
+         */
+        getCellValue: function (row, index) {
+            const cell = row.cells[index];
+
+            if (!cell) {
+                return '';
+            }
+
+            return cell.hasAttribute('data-sort-value')
+                ? cell.getAttribute('data-sort-value')
+                : cell.textContent;
+        },
+
+        /**
+         * Parse a number or currency amount
+         *
+         * Handles currency symbols, thousands separators in either style
+         * (1,234.50 or 1.234,50) and accounting negatives such as (5.00).
+         *
+         * @since 1.1.0
+         * @param {string} value Formatted value
+         * @return {number|null} Number or null when not numeric
+         */
+        parseNumber: function (value) {
+            const negative = /^\s*\(.*\)\s*$/.test(value);
+            let clean = String(value).replace(/[^\d.,-]/g, '');
+
+            if (!/\d/.test(clean)) {
+                return null;
+            }
+
+            // The later separator is the decimal one; a lone comma followed
+            // by three digits is a thousands separator
+            const lastDot = clean.lastIndexOf('.');
+            const lastComma = clean.lastIndexOf(',');
+            const decimal = lastComma > lastDot && (lastDot !== -1 || !/,\d{3}$/.test(clean)) ? ',' : '.';
+
+            clean = clean.replace(decimal === ',' ? /\./g : /,/g, '').replace(',', '.');
+
+            const number = parseFloat(clean);
+
+            if (isNaN(number)) {
+                return null;
+            }
+
+            return negative ? -Math.abs(number) : number;
+        },
+
+        /**
+         * Sort by a header column, toggling the direction on repeat clicks
+         *
+         * @since 1.1.0
+         * @param {jQuery} $th Header cell
+         * @return {void}
+         */
+        sort: function ($th) {
+            const $table = $th.closest('.wp-flyout-data-table');
+            const state = $table.data('datatable');
+            const index = $th.index();
+
+            if (!state) return;
+
+            state.sortDir = state.sortIndex === index && state.sortDir === 'asc' ? 'desc' : 'asc';
+            state.sortIndex = index;
+            state.sortType = $th.attr('data-sort-type') || 'text';
+            state.page = 1;
+
+            $table.find('thead th[aria-sort]').attr('aria-sort', 'none').removeClass('sorted-asc sorted-desc');
+            $th.attr('aria-sort', state.sortDir === 'asc' ? 'ascending' : 'descending').addClass('sorted-' + state.sortDir);
+
+            this.refresh($table);
+        },
+
+        /**
+         * Filter rows by a search query
+         *
+         * Every word of the query must appear in the row.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @param {string} query  Search query
+         * @return {void}
+         */
+        search: function ($table, query) {
+            const state = $table.data('datatable');
+
+            if (!state) return;
+
+            const normalized = String(query || '').trim().toLowerCase();
+
+            if (normalized === state.query) return;
+
+            state.query = normalized;
+            state.page = 1;
+
+            this.refresh($table);
+        },
+
+        /**
+         * Show a page
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @param {number} page   Page number (1-based)
+         * @return {void}
+         */
+        goToPage: function ($table, page) {
+            const state = $table.data('datatable');
+
+            if (!state) return;
+
+            state.page = Math.max(1, page);
+            this.refresh($table);
+        },
+
+        /**
+         * Render the current page of matching rows
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @return {void}
+         */
+        render: function ($table) {
+            const state = $table.data('datatable');
+            const rows = this.getRows($table);
+            const total = rows.length;
+            const pages = state.perPage > 0 ? Math.max(1, Math.ceil(total / state.perPage)) : 1;
+
+            state.page = Math.min(Math.max(1, state.page), pages);
+
+            const start = state.perPage > 0 ? (state.page - 1) * state.perPage : 0;
+            const visible = state.perPage > 0 ? rows.slice(start, start + state.perPage) : rows;
+            const $tbody = $table.children('tbody');
+
+            // Detach so hidden rows keep their state, e.g. checked boxes
+            $tbody.children('tr').detach();
+
+            if (visible.length) {
+                $tbody.append(visible);
+            } else {
+                $tbody.append(this.createEmptyRow($table, state.query
+                    ? $table.attr('data-no-results-text')
+                    : $table.attr('data-empty-text')));
+            }
+
+            this.updatePagination($table, start, visible.length, total, pages);
+            this.updateSelection($table);
+
+            $table.trigger('datatable:updated', {total: total, page: state.page, pages: pages});
+        },
+
+        /**
+         * Create the row shown when nothing matches
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @param {string} text   Message
+         * @return {jQuery} Row element
+         */
+        createEmptyRow: function ($table, text) {
+            const columns = $table.find('thead tr').first().children().length;
+
+            return $('<tr></tr>').append(
+                $('<td class="empty-row"></td>').attr('colspan', columns).text(text || 'No data found.')
+            );
+        },
+
+        /**
+         * Update the pagination controls
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @param {number} start  Index of the first visible row
+         * @param {number} count  Number of visible rows
+         * @param {number} total  Number of matching rows
+         * @param {number} pages  Number of pages
+         * @return {void}
+         */
+        updatePagination: function ($table, start, count, total, pages) {
+            const $pagination = $table.siblings('.datatable-pagination');
+            const page = $table.data('datatable').page;
+
+            if (!$pagination.length) return;
+
+            $pagination.find('.datatable-page-info').text(total
+                ? 'Showing ' + (start + 1) + '–' + (start + count) + ' of ' + total
+                : '');
+            $pagination.find('.datatable-page-current').text('Page ' + page + ' of ' + pages);
+            $pagination.find('.datatable-prev').prop('disabled', page <= 1);
+            $pagination.find('.datatable-next').prop('disabled', page >= pages);
+            $pagination.prop('hidden', pages <= 1);
+        },
+
+        /**
+         * Get the values of the selected rows, across all pages
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @return {Array<string>} Selected row keys
+         */
+        getSelected: function ($table) {
+            const state = $table.data('datatable');
+
+            return state ? state.selected.slice() : [];
+        },
+
+        /**
+         * Select or deselect a row
+         *
+         * The selection is kept by row key so it survives paging, and
+         * server-side pages being replaced.
+         *
+         * @since 1.1.0
+         * @param {jQuery}      $table   Table element
+         * @param {HTMLElement} box      Row checkbox
+         * @param {boolean}     selected Whether to select the row
+         * @return {void}
+         */
+        selectRow: function ($table, box, selected) {
+            const state = $table.data('datatable');
+
+            box.checked = selected;
+            $(box).closest('tr').toggleClass('is-selected', selected);
+
+            if (!state) return;
+
+            state.selected = state.selected.filter(value => value !== box.value);
+
+            if (selected) {
+                state.selected.push(box.value);
+            }
+        },
+
+        /**
+         * Select or deselect the rows on the current page
+         *
+         * @since 1.1.0
+         * @param {jQuery}  $table   Table element
+         * @param {boolean} selected Whether to select the rows
+         * @return {void}
+         */
+        selectPage: function ($table, selected) {
+            $table.children('tbody').find('.datatable-select-row').each((i, box) => {
+                this.selectRow($table, box, selected);
+            });
+
+            this.updateSelection($table);
+        },
+
+        /**
+         * Deselect all rows
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @return {void}
+         */
+        clearSelection: function ($table) {
+            const state = $table.data('datatable');
+
+            if (!state) return;
+
+            $(state.rows).find('.datatable-select-row').each((i, box) => this.selectRow($table, box, false));
+            state.selected = [];
+
+            this.updateSelection($table);
+        },
+
+        /**
+         * Sync the select-all box and the selected-count bar
+         *
+         * @since 1.1.0
+         * @param {jQuery} $table Table element
+         * @return {void}
+         */
+        updateSelection: function ($table) {
+            if (!$table.is('[data-selectable]')) return;
+
+            const $boxes = $table.children('tbody').find('.datatable-select-row');
+            const checked = $boxes.filter(':checked').length;
+            const selected = this.getSelected($table);
+            const $bar = $table.closest('.datatable-wrapper').find('.datatable-bulk-bar');
+            const $count = $bar.find('.datatable-selected-count');
+
+            $table.find('.datatable-select-all').prop({
+                checked: $boxes.length > 0 && checked === $boxes.length,
+                indeterminate: checked > 0 && checked < $boxes.length
+            });
+
+            $count.text(($count.attr('data-text') || '%d selected').replace('%d', selected.length));
+            $bar.prop('hidden', !selected.length);
+
+            if ($table.data('lastSelection') !== selected.join(',')) {
+                $table.data('lastSelection', selected.join(','));
+                $table.trigger('datatable:selection', {selected: selected});
+            }
+        },
+
+        /**
+         * Run a bulk action on the selected rows
+         *
+         * The request is sent by ActionButtons with the selected keys added
+         * as ids[].
+         *
+         * @since 1.1.0
+         * @param {jQuery} $button Bulk action button
+         * @return {void}
+         */
+        handleBulkAction: function ($button) {
+            const ids = this.getSelected(this.getTable($button));
+
+            if (!ids.length || !window.WPFlyoutActionButtons) return;
+
+            $button.data('ids', ids);
+            WPFlyoutActionButtons.handleAction($button);
+        },
+
+        /**
+         * Update the table after a bulk action succeeded
+         *
+         * Rows whose keys the server returns in `removed` are dropped, and
+         * the selection is cleared. Server-side tables reload the page.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $button Bulk action button
+         * @param {Object} data    Response data
+         * @return {void}
+         */
+        handleBulkSuccess: function ($button, data) {
+            const $table = this.getTable($button);
+            const state = $table.data('datatable');
+
+            if (!state) return;
+
+            if (!state.ajax && data && Array.isArray(data.removed)) {
+                const removed = data.removed.map(String);
+
+                state.rows = state.rows.filter(row => {
+                    const $box = $(row).find('.datatable-select-row');
+                    return !$box.length || !removed.includes($box.val());
+                });
+            }
+
+            this.clearSelection($table);
+            this.refresh($table);
+        }
+    };
+
+    // Initialize when ready
+    $(function () {
+        DataTable.init();
+    });
+
+    // Export for external use
+    window.WPFlyoutDataTable = DataTable;
+
+})(jQuery);
@@ -1,9 +1,16 @@
 /**
  * Line Items Component JavaScript
  *
- * Manages line items with AJAX product selection, quantities, and editable pricing.
+ * Manages line items with AJAX product selection, quantities, and editable pricing,
+ * per-line discounts, an order-level coupon and tax rates per line or per order.
  * All amounts are handled as integers in cents.
  *
+ * Each line's discount, coupon share and tax are rounded to whole cents on
+ * their own before being summed, using the component's rounding mode:
+ * - half_up   Halves round up (default), e.g. 10.5 → 11
+ * - half_even Halves round to the nearest even cent, e.g. 10.5 → 10
+ * This matches LineItems::calculate() in PHP.
+ *
  * @package     ArrayPress\WPFlyout
  * @version     2.0.0
  */
@@ -37,6 +44,25 @@
                 .on('blur', '.wp-flyout-line-items [data-action="update-price"]', function (e) {
                     self.handlePriceChange(e);
                 })
+                .on('change', '.wp-flyout-line-items [data-action="update-discount"]', function (e) {
+                    self.handleDiscountChange(e);
+                })
+                .on('change', '.wp-flyout-line-items [data-action="update-tax"]', function (e) {
+                    self.handleTaxChange(e);
+                })
+                .on('click', '.wp-flyout-line-items [data-action="apply-coupon"]', function (e) {
+                    self.handleApplyCoupon(e);
+                })
+                .on('keydown', '.wp-flyout-line-items .coupon-input', function (e) {
+                    // Apply instead of submitting the flyout form
+                    if (e.key === 'Enter') {
+                        self.handleApplyCoupon(e);
+                    }
+                })
+                .on('click', '.wp-flyout-line-items [data-action="remove-coupon"]', function (e) {
+                    e.preventDefault();
+                    self.removeCoupon($(e.currentTarget).closest('.wp-flyout-line-items'));
+                })
                 .on('wpflyout:opened', function (e, data) {
                     self.initComponent($(data.element));
                 });
@@ -154,53 +180,43 @@
             // Show loading state
             $button.prop('disabled', true).html('<span class="dashicons dashicons-update spin"></span> Loading...');
 
-            const ajaxUrl = window.ajaxurl || '/wp-admin/admin-ajax.php';
             const detailsAction = $component.data('details-action');
             const $select = $component.find('.product-ajax-select');
             const nonce = $select.data('details-nonce') || '';
 
             $component.trigger('lineitems:fetchstart', {itemId: itemId});
 
-            $.ajax({
-                url: ajaxUrl,
-                type: 'POST',
-                dataType: 'json',
-                data: {
-                    action: detailsAction,
-                    item_id: String(itemId),
-                    _wpnonce: nonce
-                },
-                success: function (response) {
-                    if (response.success && response.data) {
-                        self.addItemToTable($component, response.data);
-                        self.clearAjaxSelect($select);
-
-                        $component.trigger('lineitems:fetchsuccess', {
-                            itemId: itemId,
-                            product: response.data
-                        });
-                    } else {
-                        const errorMsg = response.data || 'Product details not found';
-                        $component.trigger('lineitems:fetcherror', {
-                            itemId: itemId,
-                            error: errorMsg
-                        });
-                        alert('Error: ' + errorMsg);
+            WPFlyout.request({
+                action: detailsAction,
+                item_id: String(itemId),
+                _wpnonce: nonce
+            }, {flyout: $component, retries: 2})
+                .then(product => {
+                    if (!product) {
+                        throw new Error('Product details not found');
                     }
-                },
-                error: function (xhr, status, error) {
-                    console.error('AJAX Error:', error);
+
+                    self.addItemToTable($component, product);
+                    self.clearAjaxSelect($select);
+
+                    $component.trigger('lineitems:fetchsuccess', {
+                        itemId: itemId,
+                        product: product
+                    });
+                })
+                .catch(error => {
+                    if (error.aborted) return;
+
                     $component.trigger('lineitems:fetcherror', {
                         itemId: itemId,
-                        error: error,
-                        xhr: xhr
+                        error: error.message,
+                        code: error.code
                     });
-                    alert('Error loading product details: ' + error);
-                },
-                complete: function () {
+                    WPFlyout.Request.report(error, $component);
+                })
+                .finally(() => {
                     $button.prop('disabled', false).html(originalHtml);
-                }
-            });
+                });
         },
 
         /**
@@ -246,6 +262,7 @@
                 .replace(/{{price}}/g, price) // Store cents value
                 .replace(/{{price_formatted}}/g, priceDisplay) // Display as decimal
                 .replace(/{{total_formatted}}/g, totalDisplay) // Display as decimal
+                .replace(/{{tax_rate}}/g, this.escapeHtml(product.tax_rate != null ? String(product.tax_rate) : ''))
                 .replace(/{{thumbnail_html}}/g, thumbnailHtml);
 
             // Add row
@@ -275,14 +292,20 @@
          * Build table structure
          */
         buildTableStructure: function ($component) {
+            const showQuantity = String($component.data('show-quantity')) !== '0';
+            const discounts = String($component.data('discounts')) === '1';
+            const lineTax = String($component.data('line-tax')) === '1';
+
             return `
                 <table>
                     <thead>
                         <tr>
                             <th class="column-item">Item</th>
-                            <th class="column-quantity">Qty</th>
+                            ${showQuantity ? '<th class="column-quantity">Qty</th>' : ''}
                             <th class="column-price">Price</th>
-                            <th class="column-total">Total</th>
+                            ${discounts ? '<th class="column-discount">Discount</th>' : ''}
+                            ${lineTax ? '<th class="column-tax">Tax</th>' : ''}
+                            ${showQuantity || discounts ? '<th class="column-total">Total</th>' : ''}
                             <th class="column-actions"></th>
                         </tr>
                     </thead>
@@ -400,11 +423,270 @@
             });
         },
 
+        /**
+         * Handle discount amount or type change
+         *
+         * Percent discounts are kept as a rate between 0 and 100, fixed
+         * ones are entered as decimals and stored in cents like prices.
+         *
+         * @since 1.1.0
+         * @param {Event} e Change event
+         * @return {void}
+         */
+        handleDiscountChange: function (e) {
+            const $row = $(e.currentTarget).closest('.line-item');
+            const $component = $row.closest('.wp-flyout-line-items');
+            const $input = $row.find('.discount-input');
+            const type = $row.find('.discount-type').val() === 'fixed' ? 'fixed' : 'percent';
+            const value = parseFloat($input.val()) || 0;
+
+            let discount;
+            if (type === 'fixed') {
+                discount = Math.max(0, Math.round(value * 100));
+                $input.attr('data-cents', discount).val(discount ? (discount / 100).toFixed(2) : '');
+            } else {
+                discount = Math.round(Math.min(100, Math.max(0, value)) * 10000) / 10000;
+                $input.attr('data-cents', 0).val(discount ? String(discount) : '');
+            }
+
+            this.updateRowTotal($row);
+            this.recalculateTotals($component);
+
+            $component.trigger('lineitems:discountchanged', {
+                itemId: $row.data('item-id'),
+                row: $row[0],
+                discount: discount,
+                discountType: type
+            });
+        },
+
+        /**
+         * Handle line tax rate change
+         *
+         * An empty rate falls back to the order tax rate.
+         *
+         * @since 1.1.0
+         * @param {Event} e Change event
+         * @return {void}
+         */
+        handleTaxChange: function (e) {
+            const $input = $(e.currentTarget);
+            const $row = $input.closest('.line-item');
+            const $component = $row.closest('.wp-flyout-line-items');
+            const value = $.trim($input.val());
+            const rate = value === '' ? null : Math.round(Math.max(0, parseFloat(value) || 0) * 10000) / 10000;
+
+            $input.val(rate === null ? '' : String(rate));
+
+            this.recalculateTotals($component);
+
+            $component.trigger('lineitems:taxchanged', {
+                itemId: $row.data('item-id'),
+                row: $row[0],
+                taxRate: rate
+            });
+        },
+
+        /**
+         * Handle coupon apply action
+         *
+         * Sends the code with the items and their discounted subtotal to the
+         * coupon action, which returns the coupon or an error message.
+         *
+         * @since 1.1.0
+         * @param {Event} e Click or keydown event
+         * @return {void}
+         */
+        handleApplyCoupon: function (e) {
+            e.preventDefault();
+
+            const self = this;
+            const $component = $(e.currentTarget).closest('.wp-flyout-line-items');
+            const $coupon = $component.find('.line-items-coupon');
+            const $button = $coupon.find('[data-action="apply-coupon"]');
+            const code = $.trim($coupon.find('.coupon-input').val());
+
+            if ($button.prop('disabled')) {
+                return;
+            }
+
+            if (!code) {
+                this.showCouponMessage($component, 'Please enter a coupon code');
+                return;
+            }
+
+            // Fire before coupon event (cancellable)
+            const beforeCouponEvent = $.Event('lineitems:beforecoupon');
+            $component.trigger(beforeCouponEvent, {code: code});
+
+            if (beforeCouponEvent.isDefaultPrevented()) {
+                return;
+            }
+
+            const items = this.getItems($component);
+            const breakdown = this.calculate(items, $.extend(this.getOptions($component), {coupon: null}));
+
+            $button.prop('disabled', true);
+            this.showCouponMessage($component, '');
+
+            WPFlyout.request({
+                action: $coupon.data('action-name'),
+                _wpnonce: $coupon.data('nonce') || '',
+                code: code,
+                subtotal: breakdown.subtotal - breakdown.lineDiscount,
+                items: items.map(item => ({id: item.id, quantity: item.quantity, price: item.price}))
+            }, {flyout: $component})
+                .then(coupon => {
+                    if (!coupon || !coupon.code) {
+                        throw new Error('This coupon code is not valid.');
+                    }
+
+                    self.applyCoupon($component, coupon);
+                })
+                .catch(error => {
+                    if (error.aborted) return;
+
+                    $component.trigger('lineitems:couponerror', {
+                        code: code,
+                        error: error.message
+                    });
+
+                    // Rejected codes are shown next to the field
+                    if (!error.code || error.code === 'error') {
+                        self.showCouponMessage($component, error.message);
+                    } else {
+                        WPFlyout.Request.report(error, $component);
+                    }
+                })
+                .finally(() => {
+                    $button.prop('disabled', false);
+                });
+        },
+
+        /**
+         * Apply a coupon to a component
+         *
+         * @since 1.1.0
+         * @param {jQuery} $component Line items component
+         * @param {Object} coupon     Coupon with code, type ('percent' or 'fixed'),
+         *                            amount (percent, or cents when fixed) and label
+         * @return {void}
+         */
+        applyCoupon: function ($component, coupon) {
+            const $coupon = $component.find('.line-items-coupon');
+
+            coupon = {
+                code: String(coupon.code),
+                type: coupon.type === 'fixed' ? 'fixed' : 'percent',
+                amount: Number(coupon.amount) || 0,
+                label: coupon.label || ''
+            };
+
+            $coupon.data('coupon', coupon);
+            $coupon.find('.coupon-value').val(coupon.code);
+            $coupon.find('.coupon-code').text(coupon.code);
+            $coupon.find('.coupon-label').text(this.getCouponLabel($component, coupon));
+            $coupon.find('.coupon-input').val('');
+            $coupon.find('.coupon-form').prop('hidden', true);
+            $coupon.find('.coupon-applied').prop('hidden', false);
+            this.showCouponMessage($component, '');
+
+            this.recalculateTotals($component);
+
+            $component.trigger('lineitems:couponapplied', {coupon: coupon});
+        },
+
+        /**
+         * Remove the applied coupon
+         *
+         * @since 1.1.0
+         * @param {jQuery} $component Line items component
+         * @return {void}
+         */
+        removeCoupon: function ($component) {
+            const $coupon = $component.find('.line-items-coupon');
+            const coupon = this.getCoupon($component);
+
+            $coupon.data('coupon', null);
+            $coupon.find('.coupon-value').val('');
+            $coupon.find('.coupon-applied').prop('hidden', true);
+            $coupon.find('.coupon-form').prop('hidden', false);
+            $coupon.find('.coupon-input').trigger('focus');
+
+            this.recalculateTotals($component);
+
+            $component.trigger('lineitems:couponremoved', {coupon: coupon});
+        },
+
+        /**
+         * Get the applied coupon
+         *
+         * @since 1.1.0
+         * @param {jQuery} $component Line items component
+         * @return {Object|null} Coupon or null
+         */
+        getCoupon: function ($component) {
+            const coupon = $component.find('.line-items-coupon').data('coupon');
+
+            return coupon && coupon.code ? coupon : null;
+        },
+
+        /**
+         * Get the description shown next to an applied coupon
+         *
+         * @since 1.1.0
+         * @param {jQuery} $component Line items component
+         * @param {Object} coupon     Coupon
+         * @return {string} Label
+         */
+        getCouponLabel: function ($component, coupon) {
+            if (coupon.label) {
+                return coupon.label;
+            }
+
+            return coupon.type === 'fixed'
+                ? this.formatCurrency($component, coupon.amount) + ' off'
+                : coupon.amount + '% off';
+        },
+
+        /**
+         * Show or clear the coupon error message
+         *
+         * @since 1.1.0
+         * @param {jQuery} $component Line items component
+         * @param {string} message    Message, empty to clear
+         * @return {void}
+         */
+        showCouponMessage: function ($component, message) {
+            $component.find('.coupon-message').text(message).prop('hidden', !message);
+        },
+
         /**
          * Update row total (display as simple decimal)
+         *
+         * Shows price × quantity less the line discount; the coupon and
+         * tax only appear in the totals breakdown.
          */
         updateRowTotal: function ($row) {
+            const $component = $row.closest('.wp-flyout-line-items');
+            const line = this.calculate([this.getItem($row)], this.getOptions($component)).lines[0];
+
+            // Display as decimal (no currency symbol)
+            $row.find('.item-total').text(((line.subtotal - line.discount) / 100).toFixed(2));
+        },
+
+        /**
+         * Read the calculation input of a row
+         *
+         * @since 1.1.0
+         * @param {jQuery} $row Line item row
+         * @return {Object} Item with id, price and discount in cents, quantity,
+         *                  discountType and taxRate (null for the order rate)
+         */
+        getItem: function ($row) {
             const $priceInput = $row.find('.price-input');
+            const $discountInput = $row.find('.discount-input');
+            const $taxInput = $row.find('.tax-rate-input');
 
             let price;
             if ($priceInput.length) {
@@ -415,36 +697,201 @@
                 price = parseInt($row.find('[data-price]').data('price')) || 0;
             }
 
-            const quantity = parseInt($row.find('.quantity-input').val()) || 1;
-            const total = price * quantity;
+            const discountType = $row.find('.discount-type').val() === 'fixed' ? 'fixed' : 'percent';
+            let discount = 0;
+            if ($discountInput.length) {
+                discount = discountType === 'fixed'
+                    ? parseInt($discountInput.attr('data-cents')) || 0
+                    : parseFloat($discountInput.val()) || 0;
+            }
 
-            // Display as decimal (no currency symbol)
-            $row.find('.item-total').text((total / 100).toFixed(2));
+            const taxRate = $taxInput.length ? $.trim($taxInput.val()) : '';
+
+            return {
+                id: $row.data('item-id') || $row.find('[name*="[id]"]').val() || '',
+                price: price,
+                quantity: parseInt($row.find('.quantity-input').val()) || 1,
+                discount: discount,
+                discountType: discountType,
+                taxRate: taxRate === '' ? null : parseFloat(taxRate) || 0
+            };
         },
 
         /**
-         * Recalculate and display totals
+         * Read the calculation input of all rows
+         *
+         * @since 1.1.0
+         * @param {jQuery} $component Line items component
+         * @return {Object[]} Items, see getItem()
          */
-        recalculateTotals: function ($component) {
-            let total = 0;
+        getItems: function ($component) {
+            const self = this;
 
-            // Calculate total (all in cents)
-            $component.find('.line-item').each(function () {
-                const $row = $(this);
-                const $priceInput = $row.find('.price-input');
+            return $component.find('.line-item').map(function () {
+                return self.getItem($(this));
+            }).get();
+        },
 
-                let price;
-                if ($priceInput.length) {
-                    price = parseInt($priceInput.attr('data-cents')) || 0;
-                } else {
-                    price = parseInt($row.find('[data-price]').data('price')) || 0;
-                }
+        /**
+         * Get the order level calculation options of a component
+         *
+         * @since 1.1.0
+         * @param {jQuery} $component Line items component
+         * @return {Object} Options with taxRate, coupon and rounding
+         */
+        getOptions: function ($component) {
+            return {
+                taxRate: parseFloat($component.data('tax-rate')) || 0,
+                coupon: this.getCoupon($component),
+                rounding: $component.data('rounding') || 'half_up'
+            };
+        },
 
-                const quantity = parseInt($row.find('.quantity-input').val()) || 1;
-                total += price * quantity;
+        /**
+         * Calculate a totals breakdown in integer cents
+         *
+         * Per line, a percent discount is taken off price × quantity and a
+         * fixed discount (in cents, for the whole line) is capped at it. The
+         * coupon is taken off what is left and spread over the lines in
+         * proportion to their amount, the last line taking the remainder, so
+         * tax is charged on the discounted amount. A line's taxRate overrides
+         * the order rate. Mirrors LineItems::calculate() in PHP.
+         *
+         * @since 1.1.0
+         * @param {Object[]} items                Items, see getItem()
+         * @param {Object}   [options]            Order options
+         * @param {number}   [options.taxRate]    Order tax rate in percent
+         * @param {Object}   [options.coupon]     Coupon with type and amount
+         * @param {string}   [options.rounding]   'half_up' or 'half_even'
+         * @return {Object} Breakdown with subtotal, lineDiscount, couponDiscount,
+         *                  discount, tax and total, plus the amounts of each line
+         */
+        calculate: function (items, options) {
+            options = options || {};
+
+            const rounding = options.rounding === 'half_even' ? 'half_even' : 'half_up';
+            const coupon = options.coupon && options.coupon.code ? options.coupon : null;
+            const sum = (lines, key) => lines.reduce((total, line) => total + line[key], 0);
+
+            const lines = items.map(item => {
+                const subtotal = Math.max(0, parseInt(item.price) || 0) * Math.max(1, parseInt(item.quantity) || 1);
+                const amount = parseFloat(item.discount) || 0;
+                const discount = item.discountType === 'fixed'
+                    ? Math.min(subtotal, Math.max(0, Math.trunc(amount)))
+                    : this.percentOf(subtotal, Math.min(100, amount), rounding);
+                const taxRate = item.taxRate === null || item.taxRate === undefined || item.taxRate === ''
+                    ? parseFloat(options.taxRate) || 0
+                    : parseFloat(item.taxRate) || 0;
+
+                return {subtotal: subtotal, discount: discount, coupon: 0, taxRate: taxRate, tax: 0, total: 0};
             });
 
-            // Format total with native Intl.NumberFormat
+            // Spread the coupon over the lines by their discounted amount
+            const net = sum(lines, 'subtotal') - sum(lines, 'discount');
+
+            if (coupon && net > 0) {
+                let remaining = coupon.type === 'fixed'
+                    ? Math.min(net, Math.max(0, parseInt(coupon.amount) || 0))
+                    : this.percentOf(net, Math.min(100, parseFloat(coupon.amount) || 0), rounding);
+                let left = net;
+
+                lines.forEach(line => {
+                    const amount = line.subtotal - line.discount;
+                    const share = amount === left ? remaining : this.roundDiv(remaining * amount, left, rounding);
+
+                    line.coupon = Math.min(amount, share);
+                    remaining -= line.coupon;
+                    left -= amount;
+                });
+            }
+
+            lines.forEach(line => {
+                const taxable = line.subtotal - line.discount - line.coupon;
+
+                line.tax = this.percentOf(taxable, line.taxRate, rounding);
+                line.total = taxable + line.tax;
+            });
+
+            const subtotal = sum(lines, 'subtotal');
+            const lineDiscount = sum(lines, 'discount');
+            const couponDiscount = sum(lines, 'coupon');
+            const tax = sum(lines, 'tax');
+
+            return {
+                subtotal: subtotal,
+                lineDiscount: lineDiscount,
+                couponDiscount: couponDiscount,
+                discount: lineDiscount + couponDiscount,
+                tax: tax,
+                total: subtotal - lineDiscount - couponDiscount + tax,
+                lines: lines,
+                rounding: rounding
+            };
+        },
+
+        /**
+         * Take a percentage of an amount, rounded to whole cents
+         *
+         * Rates are scaled to integers (4 decimals) first so no floating
+         * point error decides which way a half cent goes.
+         *
+         * @since 1.1.0
+         * @param {number} amount   Amount in cents
+         * @param {number} rate     Rate in percent
+         * @param {string} rounding Rounding mode
+         * @return {number} Cents
+         */
+        percentOf: function (amount, rate, rounding) {
+            const scaled = Math.round(Math.max(0, rate || 0) * 10000);
+
+            return this.roundDiv(amount * scaled, 1000000, rounding);
+        },
+
+        /**
+         * Divide two non-negative integers, rounding halves by the given mode
+         *
+         * @since 1.1.0
+         * @param {number} numerator   Numerator
+         * @param {number} denominator Denominator
+         * @param {string} rounding    'half_up' or 'half_even'
+         * @return {number} Quotient
+         */
+        roundDiv: function (numerator, denominator, rounding) {
+            if (numerator <= 0 || denominator <= 0) {
+                return 0;
+            }
+
+            let quotient = Math.floor(numerator / denominator);
+            let remainder = numerator - quotient * denominator;
+
+            // Correct the float division for large numerators
+            if (remainder < 0) {
+                quotient--;
+                remainder += denominator;
+            } else if (remainder >= denominator) {
+                quotient++;
+                remainder -= denominator;
+            }
+
+            const double = remainder * 2;
+
+            if (double > denominator || (double === denominator && (rounding !== 'half_even' || quotient % 2 === 1))) {
+                quotient++;
+            }
+
+            return quotient;
+        },
+
+        /**
+         * Format cents in the component currency
+         *
+         * @since 1.1.0
+         * @param {jQuery} $component Line items component
+         * @param {number} cents      Amount in cents
+         * @return {string} Formatted amount
+         */
+        formatCurrency: function ($component, cents) {
+            // Format with native Intl.NumberFormat
             const currency = $component.data('currency') || 'USD';
             const formatter = new Intl.NumberFormat('en-US', {
                 style: 'currency',
@@ -454,18 +901,42 @@
             });
 
             // Convert cents to dollars for formatting
-            const formattedTotal = formatter.format(total / 100);
+            return formatter.format(cents / 100);
+        },
+
+        /**
+         * Recalculate and display totals
+         *
+         * Updates the subtotal, discount and tax rows (hidden while zero)
+         * and the total, then triggers lineitems:updated with the breakdown.
+         */
+        recalculateTotals: function ($component) {
+            const options = this.getOptions($component);
+            const breakdown = this.calculate(this.getItems($component), options);
+
+            ['subtotal', 'discount', 'tax'].forEach(key => {
+                const prefix = key === 'discount' ? '-' : '';
+
+                $component.find('.breakdown-' + key)
+                    .prop('hidden', key !== 'subtotal' && !breakdown[key])
+                    .find('.breakdown-amount')
+                    .text(prefix + this.formatCurrency($component, breakdown[key]))
+                    .attr('data-value', breakdown[key]);
+            });
+
+            $component.find('.line-items-breakdown').prop('hidden', !breakdown.discount && !breakdown.tax);
 
             // Update total display
             $component.find('.total-amount')
-                .text(formattedTotal)
-                .attr('data-value', total);
+                .text(this.formatCurrency($component, breakdown.total))
+                .attr('data-value', breakdown.total);
 
             // Trigger updated event
-            $component.trigger('lineitems:updated', {
-                total: total,
-                itemCount: $component.find('.line-item').length
-            });
+            $component.trigger('lineitems:updated', $.extend({}, breakdown, {
+                itemCount: breakdown.lines.length,
+                coupon: options.coupon,
+                currency: $component.data('currency') || 'USD'
+            }));
         },
 
         /**
@@ -509,7 +980,7 @@
                 $item.attr('data-index', index);
 
                 // Update all input names with new index
-                $item.find('input').each(function () {
+                $item.find('input, select').each(function () {
                     const name = $(this).attr('name');
                     if (name) {
                         $(this).attr('name', name.replace(/\[\d+\]/, '[' + index + ']'));
@@ -1,6 +1,15 @@
 /**
  * WP Flyout Notes Component
  *
+ * Adds, edits, pins and deletes notes over AJAX and loads older notes on
+ * demand. Note content supports a small markdown subset (**bold**, `code`,
+ * [links](https://example.com) and lists) with a preview toggle.
+ *
+ * Typing "@" suggests users from the data-ajax-mentions action, which uses
+ * the same request contract as WPAjaxSelect searches (action, search and
+ * _wpnonce). Mentioned user IDs are sent with the add and edit requests as
+ * `mentions`.
+ *
  * @package WPFlyout
  * @version 2.0.0
  */
@@ -15,20 +24,72 @@
         init: function () {
             const self = this;
 
-            // Bind actions using delegation
+            // Bind actions using delegation. The mention keydown handler
+            // comes first so it can claim Enter and Escape while suggesting.
             $(document)
+                .on('keydown', '.wp-flyout-notes textarea', function (e) {
+                    self.handleMentionKeydown(e, $(this));
+                })
+                .on('input', '.wp-flyout-notes textarea', function () {
+                    self.handleMentionInput($(this));
+                })
+                .on('blur', '.wp-flyout-notes textarea', function () {
+                    self.hideMentions($(this));
+                })
+                .on('mousedown', '.wp-flyout-notes .note-mention-item', function (e) {
+                    // Keep focus in the textarea
+                    e.preventDefault();
+                    const $item = $(this);
+                    self.selectMention($item.closest('.note-add-form, .note-editor').find('textarea'), $item.data('id'), $item.data('name'));
+                })
                 .on('click', '.wp-flyout-notes [data-action="add-note"]', function (e) {
                     self.handleAdd(e);
                 })
                 .on('click', '.wp-flyout-notes [data-action="delete-note"]', function (e) {
                     self.handleDelete(e);
                 })
+                .on('click', '.wp-flyout-notes [data-action="edit-note"]', function (e) {
+                    e.preventDefault();
+                    self.startEdit($(this).closest('.note-item'));
+                })
+                .on('click', '.wp-flyout-notes [data-action="save-note"]', function (e) {
+                    self.handleEdit(e);
+                })
+                .on('click', '.wp-flyout-notes [data-action="cancel-edit"]', function (e) {
+                    e.preventDefault();
+                    self.cancelEdit($(this).closest('.note-item'));
+                })
+                .on('click', '.wp-flyout-notes [data-action="pin-note"]', function (e) {
+                    self.handlePin(e);
+                })
+                .on('click', '.wp-flyout-notes [data-action="toggle-preview"]', function (e) {
+                    e.preventDefault();
+                    self.togglePreview($(this));
+                })
+                .on('click', '.wp-flyout-notes [data-action="load-more-notes"]', function (e) {
+                    self.handleLoadMore(e);
+                })
                 .on('keydown', '.wp-flyout-notes textarea', function (e) {
+                    const $editor = $(this).closest('.note-editor');
+
+                    // Escape cancels an inline edit
+                    if (e.key === 'Escape' && $editor.length) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        self.cancelEdit($editor.closest('.note-item'));
+                        return;
+                    }
+
                     // Submit on Shift + Enter (standard for multi-line inputs)
                     if (e.key === 'Enter' && e.shiftKey) {
                         e.preventDefault();
-                        // Find the button within the same form container
-                        $(this).closest('.note-add-form').find('[data-action="add-note"]').click();
+
+                        if ($editor.length) {
+                            $editor.find('[data-action="save-note"]').click();
+                        } else {
+                            // Find the button within the same form container
+                            $(this).closest('.note-add-form').find('[data-action="add-note"]').click();
+                        }
                     }
                 });
         },
@@ -41,10 +102,12 @@
 
             const $button = $(e.currentTarget);
             const $component = $button.closest('.wp-flyout-notes');
-            const $textarea = $component.find('textarea');
+            const $form = $button.closest('.note-add-form');
+            const $textarea = $form.find('textarea');
             const content = $textarea.val().trim();
 
             if (!content) {
+                this.showWrite($form);
                 $textarea.focus();
                 return;
             }
@@ -59,43 +122,40 @@
                 return;
             }
 
+            const mentions = this.getMentions($textarea, content);
+
             // Disable button and show loading
             $button.prop('disabled', true).text('Adding...');
 
-            $.ajax({
-                url: window.ajaxurl || '/wp-admin/admin-ajax.php',
-                type: 'POST',
-                data: {
-                    action: ajaxAdd,
-                    content: content,
-                    object_type: objectType,
-                    _wpnonce: nonce
-                },
-                success: function (response) {
-                    if (response.success && response.data.note) {
-                        // Add the note to the list
-                        const noteHtml = Notes.createNoteHtml(response.data.note);
-                        const $list = $component.find('.notes-list');
+            WPFlyout.request({
+                action: ajaxAdd,
+                content: content,
+                mentions: mentions.map(mention => mention.id),
+                object_type: objectType,
+                _wpnonce: nonce
+            }, {flyout: $component})
+                .then(data => {
+                    if (!data || !data.note) {
+                        throw new Error('Failed to add note');
+                    }
 
-                        // Remove empty message if exists
-                        $list.find('.no-notes').remove();
+                    const $list = $component.find('.notes-list');
 
-                        // Add new note at the top
-                        $list.prepend(noteHtml);
+                    // Remove empty message if exists
+                    $list.find('.no-notes').remove();
 
-                        // Clear textarea
-                        $textarea.val('').focus();
-                    } else {
-                        alert(response.data?.message || 'Failed to add note');
-                    }
-                },
-                error: function () {
-                    alert('Error adding note');
-                },
-                complete: function () {
+                    // Add new note at the top, below any pinned notes
+                    const note = $.extend({mentions: mentions}, data.note);
+                    this.insertNote($list, $(Notes.createNoteHtml(note, $component)));
+
+                    // Clear textarea
+                    this.showWrite($form);
+                    $textarea.val('').removeData('mentions').focus();
+                })
+                .catch(error => WPFlyout.Request.report(error, $component))
+                .finally(() => {
                     $button.prop('disabled', false).text('Add Note');
-                }
-            });
+                });
         },
 
         /**
@@ -125,51 +185,693 @@
             // Disable button
             $button.prop('disabled', true);
 
-            $.ajax({
-                url: window.ajaxurl || '/wp-admin/admin-ajax.php',
-                type: 'POST',
-                data: {
-                    action: ajaxDelete,
-                    note_id: noteId,
-                    object_type: objectType,
-                    _wpnonce: nonce
-                },
-                success: function (response) {
-                    if (response.success) {
-                        // Remove the note with animation
-                        $note.slideUp(200, function () {
-                            $note.remove();
-
-                            // Check if list is empty
-                            const $list = $component.find('.notes-list');
-                            if ($list.find('.note-item').length === 0) {
-                                $list.html('<p class="no-notes">No notes yet.</p>');
-                            }
-                        });
-                    } else {
-                        alert(response.data?.message || 'Failed to delete note');
+            WPFlyout.request({
+                action: ajaxDelete,
+                note_id: noteId,
+                object_type: objectType,
+                _wpnonce: nonce
+            }, {flyout: $component})
+                .then(() => {
+                    // Remove the note with animation
+                    $note.slideUp(200, function () {
+                        $note.remove();
+
+                        // Check if list is empty
+                        const $list = $component.find('.notes-list');
+                        if ($list.find('.note-item').length === 0 && !$list.find('.no-notes').length) {
+                            $list.prepend('<p class="no-notes">No notes yet.</p>');
+                        }
+                    });
+                })
+                .catch(error => WPFlyout.Request.report(error, $component))
+                .finally(() => {
+                    $button.prop('disabled', false);
+                });
+        },
+
+        /**
+         * Replace a note's content with an inline editor
+         *
+         * @since 1.1.0
+         * @param {jQuery} $note Note element
+         * @return {void}
+         */
+        startEdit: function ($note) {
+            if ($note.find('.note-editor').length) {
+                $note.find('.note-editor textarea').focus();
+                return;
+            }
+
+            const markdown = $note.closest('.wp-flyout-notes').data('markdown') !== false;
+            const $textarea = $('<textarea rows="3"></textarea>')
+                .val($note.attr('data-content') || '')
+                .data('mentions', this.normalizeMentions($note.data('mentions')));
+
+            let actions = '<button type="button" class="button button-primary" data-action="save-note">Save</button> ';
+            actions += '<button type="button" class="button" data-action="cancel-edit">Cancel</button>';
+
+            if (markdown) {
+                actions += ' <button type="button" class="button-link" data-action="toggle-preview" aria-pressed="false">Preview</button>';
+            }
+
+            const $editor = $('<div class="note-editor"></div>')
+                .append($textarea)
+                .append(markdown ? '<div class="note-preview note-content" hidden></div>' : '')
+                .append($('<p></p>').html(actions));
+
+            $note.addClass('is-editing').find('.note-content').first().attr('hidden', true).after($editor);
+
+            const length = $textarea.val().length;
+            $textarea.focus()[0].setSelectionRange(length, length);
+        },
+
+        /**
+         * Close the inline editor without saving
+         *
+         * @since 1.1.0
+         * @param {jQuery} $note Note element
+         * @return {void}
+         */
+        cancelEdit: function ($note) {
+            $note.removeClass('is-editing').find('.note-editor').remove();
+            $note.find('.note-content').first().removeAttr('hidden');
+            $note.find('[data-action="edit-note"]').focus();
+        },
+
+        /**
+         * Handle saving an edited note
+         *
+         * Expects the updated note back as `note`, like the add action.
+         *
+         * @since 1.1.0
+         * @param {Event} e Click event
+         * @return {void}
+         */
+        handleEdit: function (e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const $note = $button.closest('.note-item');
+            const $component = $button.closest('.wp-flyout-notes');
+            const $editor = $button.closest('.note-editor');
+            const $textarea = $editor.find('textarea');
+            const content = $textarea.val().trim();
+
+            if (!content) {
+                this.showWrite($editor);
+                $textarea.focus();
+                return;
+            }
+
+            if (content === $note.attr('data-content')) {
+                this.cancelEdit($note);
+                return;
+            }
+
+            const ajaxEdit = $component.data('ajax-edit');
+
+            if (!ajaxEdit) {
+                console.error('Notes: No AJAX edit action configured');
+                return;
+            }
+
+            const mentions = this.getMentions($textarea, content);
+
+            $editor.find('button').prop('disabled', true);
+            $button.text('Saving...');
+
+            WPFlyout.request({
+                action: ajaxEdit,
+                note_id: $note.data('note-id'),
+                content: content,
+                mentions: mentions.map(mention => mention.id),
+                object_type: $component.data('object-type'),
+                _wpnonce: $component.data('edit-nonce')
+            }, {flyout: $component})
+                .then(data => {
+                    if (!data || !data.note) {
+                        throw new Error('Failed to update note');
                     }
-                },
-                error: function () {
-                    alert('Error deleting note');
-                },
-                complete: function () {
+
+                    const note = $.extend({pinned: $note.hasClass('is-pinned'), edited: true, mentions: mentions}, data.note);
+                    const $updated = $(Notes.createNoteHtml(note, $component));
+
+                    $note.replaceWith($updated);
+                    $updated.find('[data-action="edit-note"]').focus();
+                })
+                .catch(error => {
+                    WPFlyout.Request.report(error, $component);
+                    $editor.find('button').prop('disabled', false);
+                    $button.text('Save');
+                });
+        },
+
+        /**
+         * Handle pinning or unpinning a note
+         *
+         * Sends `pinned` as 1 or 0. Pinned notes move to the top; unpinned
+         * ones move to just below the remaining pinned notes.
+         *
+         * @since 1.1.0
+         * @param {Event} e Click event
+         * @return {void}
+         */
+        handlePin: function (e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const $note = $button.closest('.note-item');
+            const $component = $button.closest('.wp-flyout-notes');
+            const pinned = !$note.hasClass('is-pinned');
+            const ajaxPin = $component.data('ajax-pin');
+
+            if (!ajaxPin) {
+                console.error('Notes: No AJAX pin action configured');
+                return;
+            }
+
+            $button.prop('disabled', true);
+
+            WPFlyout.request({
+                action: ajaxPin,
+                note_id: $note.data('note-id'),
+                pinned: pinned ? 1 : 0,
+                object_type: $component.data('object-type'),
+                _wpnonce: $component.data('pin-nonce')
+            }, {flyout: $component})
+                .then(() => {
+                    $note.toggleClass('is-pinned', pinned);
+                    $button.attr({
+                        'aria-pressed': pinned ? 'true' : 'false',
+                        'aria-label': pinned ? 'Unpin note' : 'Pin note'
+                    });
+
+                    this.insertNote($component.find('.notes-list'), $note);
+                    $button.focus();
+                })
+                .catch(error => WPFlyout.Request.report(error, $component))
+                .finally(() => {
                     $button.prop('disabled', false);
+                });
+        },
+
+        /**
+         * Handle loading older notes
+         *
+         * Sends the number of notes shown as `offset` and expects rendered
+         * `html` and a `has_more` flag back.
+         *
+         * @since 1.1.0
+         * @param {Event} e Click event
+         * @return {void}
+         */
+        handleLoadMore: function (e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const $component = $button.closest('.wp-flyout-notes');
+            const $list = $component.find('.notes-list');
+
+            $button.prop('disabled', true).text('Loading...');
+
+            WPFlyout.request({
+                action: $component.data('ajax-load-more'),
+                _wpnonce: $component.data('load-more-nonce'),
+                offset: $list.children('.note-item').length,
+                object_type: $component.data('object-type'),
+                id: $component.closest('form').find('input[name="id"]').val() || ''
+            }, {flyout: $component, retries: 1})
+                .then(data => {
+                    const $loaded = $($.parseHTML($.trim(data && data.html || ''))).filter('.note-item');
+
+                    $list.find('.no-notes').remove();
+                    $list.find('.notes-load-more').before($loaded);
+
+                    if (!data || !data.has_more) {
+                        $list.find('.notes-load-more').remove();
+                    }
+                })
+                .catch(error => WPFlyout.Request.report(error, $component))
+                .finally(() => {
+                    $button.prop('disabled', false).text('Load more notes');
+                });
+        },
+
+        /**
+         * Place a note at the top of its group
+         *
+         * Pinned notes go to the top of the list, other notes directly
+         * below the pinned ones.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $list Notes list
+         * @param {jQuery} $note Note element
+         * @return {void}
+         */
+        insertNote: function ($list, $note) {
+            const $pinned = $list.children('.note-item.is-pinned').not($note);
+
+            if ($note.hasClass('is-pinned') || !$pinned.length) {
+                $list.prepend($note);
+            } else {
+                $pinned.last().after($note);
+            }
+        },
+
+        /**
+         * Switch between writing and previewing a note
+         *
+         * @since 1.1.0
+         * @param {jQuery} $button Toggle button
+         * @return {void}
+         */
+        togglePreview: function ($button) {
+            const $form = $button.closest('.note-add-form, .note-editor');
+            const $preview = $form.find('.note-preview');
+
+            if (!$preview.prop('hidden')) {
+                this.showWrite($form);
+                $form.find('textarea').focus();
+                return;
+            }
+
+            $preview.html(this.renderMarkdown($form.find('textarea').val()) || '<em>Nothing to preview</em>')
+                .prop('hidden', false);
+            $form.find('textarea').prop('hidden', true);
+            $button.attr('aria-pressed', 'true').text('Write');
+        },
+
+        /**
+         * Show the textarea of a form again after previewing
+         *
+         * @since 1.1.0
+         * @param {jQuery} $form Add form or inline editor
+         * @return {void}
+         */
+        showWrite: function ($form) {
+            $form.find('.note-preview').prop('hidden', true).empty();
+            $form.find('textarea').prop('hidden', false);
+            $form.find('[data-action="toggle-preview"]').attr('aria-pressed', 'false').text('Preview');
+        },
+
+        /**
+         * Escape text for use in HTML
+         *
+         * @since 1.1.0
+         * @param {string} text Text to escape
+         * @return {string} Escaped text
+         */
+        escapeHtml: function (text) {
+            const div = document.createElement('div');
+            div.textContent = text || '';
+            return div.innerHTML.replace(/"/g, '&quot;');
+        },
+
+        /**
+         * Render the supported markdown subset
+         *
+         * Mirrors Notes::render_markdown() in PHP: "- " or "* " lines form
+         * bulleted lists, "1. " lines numbered lists and other lines are
+         * joined with line breaks. Text is escaped before markup is added.
+         *
+         * @since 1.1.0
+         * @param {string} text Markdown text
+         * @return {string} HTML
+         */
+        renderMarkdown: function (text) {
+            const lines = String(text || '').split(/\r\n|\r|\n/);
+            let html = '';
+            let list = '';
+            let breaks = false;
+
+            lines.forEach(line => {
+                let match = line.match(/^\s*[-*]\s+(.*)$/);
+                let type = match ? 'ul' : '';
+
+                if (!match) {
+                    match = line.match(/^\s*\d+\.\s+(.*)$/);
+                    type = match ? 'ol' : '';
+                }
+
+                if (list && list !== type) {
+                    html += '</' + list + '>';
+                    list = '';
+                }
+
+                if (type) {
+                    if (!list) {
+                        html += '<' + type + '>';
+                        list = type;
+                    }
+
+                    html += '<li>' + this.renderInline(match[1]) + '</li>';
+                    breaks = false;
+                    return;
                 }
+
+                html += (breaks ? '<br>' : '') + this.renderInline(line);
+                breaks = true;
             });
+
+            if (list) {
+                html += '</' + list + '>';
+            }
+
+            return html;
+        },
+
+        /**
+         * Render inline markdown: code, bold and links
+         *
+         * @since 1.1.0
+         * @param {string} text Line of markdown text
+         * @return {string} HTML
+         */
+        renderInline: function (text) {
+            const codes = [];
+
+            text = text.replace(/`([^`]+)`/g, (match, code) => {
+                codes.push('<code>' + this.escapeHtml(code) + '</code>');
+                return '\u0000' + (codes.length - 1) + '\u0000';
+            });
+
+            text = this.escapeHtml(text)
+                .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+                .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g,
+                    '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+
+            return text.replace(/\u0000(\d+)\u0000/g, (match, index) => codes[index] || '');
+        },
+
+        /**
+         * Handle typing in a note textarea
+         *
+         * Searches for users once at least one character follows an "@"
+         * at the start of a word.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $textarea Textarea
+         * @return {void}
+         */
+        handleMentionInput: function ($textarea) {
+            const $component = $textarea.closest('.wp-flyout-notes');
+            const query = this.getMentionQuery($textarea);
+
+            if (!$component.data('ajax-mentions')) return;
+
+            clearTimeout($textarea.data('mention-timer'));
+
+            if (!query || !query.term.length) {
+                this.hideMentions($textarea);
+                return;
+            }
+
+            $textarea.data('mention-timer', setTimeout(() => {
+                this.searchMentions($textarea, query.term);
+            }, 300));
+        },
+
+        /**
+         * Handle keyboard navigation of the mention suggestions
+         *
+         * @since 1.1.0
+         * @param {Event}  e         Keydown event
+         * @param {jQuery} $textarea Textarea
+         * @return {void}
+         */
+        handleMentionKeydown: function (e, $textarea) {
+            const $list = $textarea.siblings('.note-mentions');
+
+            if (!$list.length || $list.prop('hidden')) return;
+
+            const $items = $list.find('.note-mention-item');
+            let index = $items.index($items.filter('.active'));
+
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    if (!$items.length) return;
+                    index = e.key === 'ArrowDown'
+                        ? (index + 1) % $items.length
+                        : (index <= 0 ? $items.length - 1 : index - 1);
+                    $items.removeClass('active').eq(index).addClass('active');
+                    break;
+                case 'Enter':
+                case 'Tab':
+                    if (index < 0 || e.shiftKey) return;
+                    this.selectMention($textarea, $items.eq(index).data('id'), $items.eq(index).data('name'));
+                    break;
+                case 'Escape':
+                    this.hideMentions($textarea);
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            e.stopImmediatePropagation();
+        },
+
+        /**
+         * Find the "@term" being typed before the caret
+         *
+         * @since 1.1.0
+         * @param {jQuery} $textarea Textarea
+         * @return {Object|null} Start index of the "@" and the term, or null
+         */
+        getMentionQuery: function ($textarea) {
+            const textarea = $textarea[0];
+            const before = textarea.value.slice(0, textarea.selectionStart);
+            const match = before.match(/(?:^|\s)@([^\s@]*)$/);
+
+            if (!match) return null;
+
+            return {start: before.length - match[1].length - 1, term: match[1]};
+        },
+
+        /**
+         * Search users to mention
+         *
+         * Replies that arrive after a newer search started are ignored.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $textarea Textarea
+         * @param {string} term      Search term
+         * @return {void}
+         */
+        searchMentions: function ($textarea, term) {
+            const $component = $textarea.closest('.wp-flyout-notes');
+            const request = ($textarea.data('mention-request') || 0) + 1;
+
+            $textarea.data('mention-request', request);
+
+            WPFlyout.request({
+                action: $component.data('ajax-mentions'),
+                search: term,
+                _wpnonce: $component.data('mentions-nonce') || ''
+            }, {flyout: $component, retries: 1})
+                .then(results => {
+                    if ($textarea.data('mention-request') === request) {
+                        this.showMentions($textarea, this.normalizeMentions(results));
+                    }
+                })
+                .catch(error => {
+                    if (error.aborted || $textarea.data('mention-request') !== request) return;
+
+                    // A failed search reply means nothing matched
+                    if (error.code === 'error') {
+                        this.showMentions($textarea, []);
+                    } else {
+                        this.hideMentions($textarea);
+                    }
+                });
+        },
+
+        /**
+         * Show mention suggestions below a textarea
+         *
+         * @since 1.1.0
+         * @param {jQuery} $textarea Textarea
+         * @param {Array}  users     Users as {id, name}
+         * @return {void}
+         */
+        showMentions: function ($textarea, users) {
+            let $list = $textarea.siblings('.note-mentions');
+
+            if (!$textarea.is(':focus') || !this.getMentionQuery($textarea)) return;
+
+            if (!$list.length) {
+                $list = $('<div class="note-mentions" role="listbox"></div>').insertAfter($textarea);
+            }
+
+            $list.empty();
+
+            if (!users.length) {
+                $list.append('<div class="note-mentions-empty">No users found</div>');
+            }
+
+            users.forEach(user => {
+                $('<div class="note-mention-item" role="option"></div>')
+                    .text(user.name)
+                    .attr({'data-id': user.id, 'data-name': user.name})
+                    .appendTo($list);
+            });
+
+            // Open just below the textarea
+            $list.css('top', $textarea.position().top + $textarea.outerHeight());
+            $list.find('.note-mention-item').first().addClass('active');
+            $list.prop('hidden', false);
+        },
+
+        /**
+         * Hide the mention suggestions of a textarea
+         *
+         * @since 1.1.0
+         * @param {jQuery} $textarea Textarea
+         * @return {void}
+         */
+        hideMentions: function ($textarea) {
+            clearTimeout($textarea.data('mention-timer'));
+            $textarea.data('mention-request', ($textarea.data('mention-request') || 0) + 1);
+            $textarea.siblings('.note-mentions').prop('hidden', true).empty();
+        },
+
+        /**
+         * Replace the "@term" being typed with a mention
+         *
+         * @since 1.1.0
+         * @param {jQuery} $textarea Textarea
+         * @param {number} id        User ID
+         * @param {string} name      User name
+         * @return {void}
+         */
+        selectMention: function ($textarea, id, name) {
+            const query = this.getMentionQuery($textarea);
+            const textarea = $textarea[0];
+
+            this.hideMentions($textarea);
+
+            if (!query) return;
+
+            const value = textarea.value;
+            const insert = '@' + name + ' ';
+            const caret = query.start + insert.length;
+
+            textarea.value = value.slice(0, query.start) + insert + value.slice(textarea.selectionStart);
+            textarea.setSelectionRange(caret, caret);
+            $textarea.focus();
+
+            const mentions = ($textarea.data('mentions') || []).filter(mention => mention.id !== Number(id));
+            mentions.push({id: Number(id), name: String(name)});
+            $textarea.data('mentions', mentions);
+        },
+
+        /**
+         * Get the mentions of a textarea still present in its content
+         *
+         * @since 1.1.0
+         * @param {jQuery} $textarea Textarea
+         * @param {string} content   Note content
+         * @return {Array} Mentions as {id, name}
+         */
+        getMentions: function ($textarea, content) {
+            return ($textarea.data('mentions') || []).filter(mention => content.indexOf('@' + mention.name) !== -1);
+        },
+
+        /**
+         * Normalize mentions or user search results to {id, name} objects
+         *
+         * Accepts {id, name} or {value, text} items, or an object of
+         * id => name pairs as returned by ajax_select searches.
+         *
+         * @since 1.1.0
+         * @param {Array|Object} mentions Mentions
+         * @return {Array} Mentions as {id, name}
+         */
+        normalizeMentions: function (mentions) {
+            if (!mentions || typeof mentions !== 'object') return [];
+
+            if (!Array.isArray(mentions)) {
+                mentions = Object.entries(mentions).map(([id, name]) => ({id: id, name: name}));
+            }
+
+            return mentions
+                .map(mention => ({
+                    id: parseInt(mention.id !== undefined ? mention.id : mention.value, 10),
+                    name: String(mention.name !== undefined ? mention.name : (mention.text || ''))
+                }))
+                .filter(mention => mention.id > 0 && mention.name);
+        },
+
+        /**
+         * Wrap "@Name" mentions in formatted content with chips
+         *
+         * Mirrors Notes::render_mentions() in PHP; longer names are matched
+         * first so "@Ann Lee" wins over "@Ann". Only text between tags is
+         * matched, outside code spans, so link URLs are never touched.
+         *
+         * @since 1.1.0
+         * @param {string} html     Formatted content
+         * @param {Array}  mentions Mentions as {id, name}
+         * @return {string} HTML
+         */
+        renderMentions: function (html, mentions) {
+            if (!mentions.length) return html;
+
+            const users = {};
+            mentions.forEach(mention => {
+                users[this.escapeHtml(mention.name)] = mention.id;
+            });
+
+            const names = Object.keys(users)
+                .sort((a, b) => b.length - a.length)
+                .map(name => name.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&'));
+
+            const pattern = new RegExp('@(' + names.join('|') + ')(?![\\w-])', 'g');
+            let inCode = false;
+
+            return html.split(/(<[^>]*>)/).map(part => {
+                if (part.charAt(0) === '<') {
+                    const tag = /^<(\/?)code\b/i.exec(part);
+
+                    if (tag) {
+                        inCode = !tag[1];
+                    }
+                    return part;
+                }
+
+                return inCode ? part : part.replace(pattern, (match, name) =>
+                    '<span class="note-mention" data-user-id="' + users[name] + '">@' + name + '</span>'
+                );
+            }).join('');
         },
 
         /**
          * Create note HTML
+         *
+         * Pass the component to render markdown and the edit and pin
+         * buttons according to its settings.
          */
-        createNoteHtml: function (note) {
-            const escapeHtml = function (text) {
-                const div = document.createElement('div');
-                div.textContent = text || '';
-                return div.innerHTML;
-            };
+        createNoteHtml: function (note, $component) {
+            const escapeHtml = this.escapeHtml;
+            const $notes = $($component || []);
+            const editable = $notes.length && $notes.data('editable') !== false;
+            const markdown = $notes.length && $notes.data('markdown') !== false;
+            const canEdit = editable && $notes.data('ajax-edit') && note.can_edit;
+            const content = note.content || '';
+            const mentions = this.normalizeMentions(note.mentions);
+
+            let html = '<div class="note-item' + (note.pinned ? ' is-pinned' : '') + '" data-note-id="' + escapeHtml(String(note.id)) + '"';
+
+            if (canEdit) {
+                html += ' data-content="' + escapeHtml(content) + '"';
 
-            let html = '<div class="note-item" data-note-id="' + note.id + '">';
+                if (mentions.length) {
+                    html += ' data-mentions="' + escapeHtml(JSON.stringify(mentions)) + '"';
+                }
+            }
+
+            html += '>';
             html += '<div class="note-header">';
 
             if (note.author) {
@@ -180,6 +882,25 @@
                 html += '<span class="note-date">' + escapeHtml(note.formatted_date) + '</span>';
             }
 
+            if (note.edited) {
+                html += '<span class="note-edited"' + (typeof note.edited === 'string' ? ' title="' + escapeHtml(note.edited) + '"' : '') + '>edited</span>';
+            }
+
+            if (editable && $notes.data('ajax-pin')) {
+                html += '<button type="button" class="button-link" data-action="pin-note"';
+                html += ' aria-pressed="' + (note.pinned ? 'true' : 'false') + '" aria-label="' + (note.pinned ? 'Unpin note' : 'Pin note') + '">';
+                html += '<span class="dashicons dashicons-admin-post"></span>';
+                html += '</button>';
+            } else if (note.pinned) {
+                html += '<span class="note-pin-indicator dashicons dashicons-admin-post" aria-label="Pinned"></span>';
+            }
+
+            if (canEdit) {
+                html += '<button type="button" class="button-link" data-action="edit-note" aria-label="Edit note">';
+                html += '<span class="dashicons dashicons-edit"></span>';
+                html += '</button>';
+            }
+
             if (note.can_delete) {
                 html += '<button type="button" class="button-link" data-action="delete-note">';
                 html += '<span class="dashicons dashicons-trash"></span>';
@@ -187,7 +908,9 @@
             }
 
             html += '</div>';
-            html += '<div class="note-content">' + escapeHtml(note.content).replace(/\n/g, '<br>') + '</div>';
+            html += '<div class="note-content">';
+            html += this.renderMentions(markdown ? this.renderMarkdown(content) : escapeHtml(content).replace(/\n/g, '<br>'), mentions);
+            html += '</div>';
             html += '</div>';
 
             return html;
@@ -202,4 +925,4 @@
     // Export for external use
     window.WPFlyoutNotes = Notes;
 
-})(jQuery);
\ No newline at end of file
+})(jQuery);
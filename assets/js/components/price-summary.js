@@ -48,63 +48,42 @@
                 .addClass('dashicons-update spin');
 
             // Make AJAX request
-            $.post(ajaxurl, {
+            WPFlyout.request({
                 action: ajax_action,
                 ...data
-            })
-                .done((response) => {
-                    if (response.success) {
-                        this.markAsRefunded($item, $breakdown);
-                        this.updateTotals($breakdown, data.amount);
-
-                        // Show success message if WPFlyoutAlert is available
-                        if (window.WPFlyoutAlert) {
-                            WPFlyoutAlert.show('Item refunded successfully', 'success', {
-                                target: $breakdown,
-                                timeout: 3000
-                            });
-                        }
-
-                        // Trigger custom event
-                        $(document).trigger('pricebreakdown:refunded', {
-                            item: $item[0],
-                            data: data,
-                            response: response.data
+            }, {flyout: $breakdown})
+                .then(responseData => {
+                    this.markAsRefunded($item, $breakdown);
+                    this.updateTotals($breakdown, data.amount);
+
+                    // Show success message if WPFlyoutAlert is available
+                    if (window.WPFlyoutAlert) {
+                        WPFlyoutAlert.show('Item refunded successfully', 'success', {
+                            target: $breakdown,
+                            timeout: 3000
                         });
-                    } else {
-                        // Re-enable button on error
-                        $btn.prop('disabled', false)
-                            .find('.dashicons')
-                            .removeClass('dashicons-update spin')
-                            .addClass('dashicons-undo');
-
-                        const message = response.data?.message || 'Refund failed. Please try again.';
-
-                        if (window.WPFlyoutAlert) {
-                            WPFlyoutAlert.show(message, 'error', {
-                                target: $breakdown,
-                                dismissible: true
-                            });
-                        } else {
-                            alert(message);
-                        }
                     }
+
+                    // Show the refund in the flyout's timeline straight away
+                    if (responseData && responseData.timeline_event && window.WPFlyoutTimeline) {
+                        WPFlyoutTimeline.add(responseData.timeline_event, $breakdown.closest('.wp-flyout'));
+                    }
+
+                    // Trigger custom event
+                    $(document).trigger('pricebreakdown:refunded', {
+                        item: $item[0],
+                        data: data,
+                        response: responseData
+                    });
                 })
-                .fail(() => {
+                .catch(error => {
                     // Re-enable button on error
                     $btn.prop('disabled', false)
                         .find('.dashicons')
                         .removeClass('dashicons-update spin')
                         .addClass('dashicons-undo');
 
-                    if (window.WPFlyoutAlert) {
-                        WPFlyoutAlert.show('Connection error. Please try again.', 'error', {
-                            target: $breakdown,
-                            dismissible: true
-                        });
-                    } else {
-                        alert('Connection error. Please try again.');
-                    }
+                    WPFlyout.Request.report(error, $breakdown);
                 });
         },
 
@@ -0,0 +1,441 @@
+/**
+ * Progress Steps Component JavaScript
+ *
+ * Turns a ProgressSteps component rendered with data-wizard into a wizard
+ * controller. Each step is tied to a tab or panel, Next/Back buttons are
+ * added to the footer, the current step is validated before moving on and
+ * the Save button is only enabled on the last step.
+ *
+ * Step panels come from the data-panel attribute of each step (a tab ID or
+ * CSS selector), then from [data-wizard-step="N"] elements, then from the
+ * flyout's tabs in order.
+ *
+ * @package     ArrayPress\WPFlyout
+ * @version     1.0.0
+ */
+(function ($) {
+    'use strict';
+
+    /**
+     * Progress steps wizard controller
+     *
+     * @namespace WPFlyoutProgressSteps
+     * @since 1.1.0
+     */
+    const ProgressSteps = {
+
+        /**
+         * Initialize wizard functionality
+         *
+         * @since 1.1.0
+         * @return {void}
+         */
+        init: function () {
+            $(document).on('wpflyout:opened', (e, data) => {
+                $(data.element).find('.wp-flyout-progress-steps[data-wizard]').first().each((i, el) => {
+                    this.setup($(el));
+                });
+            });
+
+            $(document).on('click.wpflyout.progresssteps', '.wp-flyout-wizard-next', e => {
+                e.preventDefault();
+                this.next(this.getWizard($(e.currentTarget)));
+            });
+
+            $(document).on('click.wpflyout.progresssteps', '.wp-flyout-wizard-back', e => {
+                e.preventDefault();
+                this.back(this.getWizard($(e.currentTarget)));
+            });
+
+            $(document).on('click.wpflyout.progresssteps', '.wp-flyout-progress-steps[data-wizard] .step-button', e => {
+                e.preventDefault();
+                const $steps = $(e.currentTarget).closest('.wp-flyout-progress-steps');
+                this.select($steps, parseInt($(e.currentTarget).attr('data-step'), 10));
+            });
+
+            // Keep the wizard in step when a reached tab is clicked directly
+            $(document).on('wpflyout:tab-changed', (e, data) => this.syncTab(data));
+        },
+
+        /**
+         * Set up a wizard once its flyout has opened
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @return {void}
+         */
+        setup: function ($steps) {
+            if ($steps.data('wizardReady')) return;
+
+            const current = parseInt($steps.attr('data-current'), 10) || 1;
+
+            $steps.data({wizardReady: true, wizardReached: current});
+
+            this.addButtons($steps);
+            this.goTo($steps, current, false);
+        },
+
+        /**
+         * Add the Next and Back buttons to the flyout footer
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @return {void}
+         */
+        addButtons: function ($steps) {
+            const $flyout = $steps.closest('.wp-flyout');
+            let $actions = $flyout.find('.wp-flyout-footer .wp-flyout-actions').first();
+
+            if (!$actions.length) {
+                let $footer = $flyout.find('.wp-flyout-footer').first();
+
+                if (!$footer.length) {
+                    $footer = $('<div class="wp-flyout-footer"></div>').insertAfter($flyout.find('.wp-flyout-body'));
+                }
+
+                $actions = $('<div class="wp-flyout-actions"></div>').appendTo($footer);
+            }
+
+            $actions.find('.wp-flyout-wizard-back, .wp-flyout-wizard-next').remove();
+
+            const $back = $('<button type="button" class="button button-secondary wp-flyout-wizard-back"></button>')
+                .text($steps.attr('data-back-text') || 'Back');
+            const $next = $('<button type="button" class="button button-primary wp-flyout-wizard-next"></button>')
+                .text($steps.attr('data-next-text') || 'Next');
+            const $save = $actions.find('.wp-flyout-save').first();
+
+            $actions.prepend($back);
+
+            if ($save.length) {
+                $next.insertBefore($save);
+            } else {
+                $next.appendTo($actions);
+            }
+        },
+
+        /**
+         * Get the wizard belonging to an element inside a flyout
+         *
+         * @since 1.1.0
+         * @param {jQuery} $element Element inside the flyout
+         * @return {jQuery} Progress steps element
+         */
+        getWizard: function ($element) {
+            return $element.closest('.wp-flyout').find('.wp-flyout-progress-steps[data-wizard]').first();
+        },
+
+        /**
+         * Get the current step number
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @return {number} Current step (1-based)
+         */
+        getCurrent: function ($steps) {
+            return parseInt($steps.attr('data-current'), 10) || 1;
+        },
+
+        /**
+         * Get the number of steps
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @return {number} Step count
+         */
+        getTotal: function ($steps) {
+            return $steps.find('.progress-step').length;
+        },
+
+        /**
+         * Get the panel shown for a step
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @param {number} step   Step number
+         * @return {jQuery} Panel element or empty set
+         */
+        getPanel: function ($steps, step) {
+            const $flyout = $steps.closest('.wp-flyout');
+            const panel = String($steps.find('.progress-step[data-step="' + step + '"]').attr('data-panel') || '');
+
+            if (panel) {
+                const $tab = $flyout.find('.wp-flyout-tab-content').filter(function () {
+                    return this.id === 'tab-' + panel;
+                });
+
+                return $tab.length ? $tab : $flyout.find(panel);
+            }
+
+            const $marked = $flyout.find('[data-wizard-step="' + step + '"]');
+
+            return $marked.length ? $marked : $flyout.find('.wp-flyout-tab-content').eq(step - 1);
+        },
+
+        /**
+         * Get the tab link of a tab panel
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Flyout element
+         * @param {jQuery} $panel  Tab content element
+         * @return {jQuery} Tab link
+         */
+        getTab: function ($flyout, $panel) {
+            const tabId = String($panel.attr('id') || '').replace(/^tab-/, '');
+
+            return $flyout.find('.wp-flyout-tab').filter(function () {
+                return String($(this).data('tab')) === tabId;
+            });
+        },
+
+        /**
+         * Validate the current step and move to the next one
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @return {boolean} Whether the wizard moved on
+         */
+        next: function ($steps) {
+            const current = this.getCurrent($steps);
+
+            if (current >= this.getTotal($steps) || !this.validateStep($steps, current)) {
+                return false;
+            }
+
+            this.goTo($steps, current + 1, true);
+            return true;
+        },
+
+        /**
+         * Move to the previous step
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @return {boolean} Whether the wizard moved back
+         */
+        back: function ($steps) {
+            const current = this.getCurrent($steps);
+
+            if (current <= 1) {
+                return false;
+            }
+
+            this.goTo($steps, current - 1, true);
+            return true;
+        },
+
+        /**
+         * Move to a step chosen by the user
+         *
+         * Earlier steps can always be revisited. Later steps must have been
+         * reached before and the current step must be valid.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @param {number} step   Step number
+         * @return {boolean} Whether the wizard moved
+         */
+        select: function ($steps, step) {
+            const current = this.getCurrent($steps);
+
+            if (!step || step === current || step > ($steps.data('wizardReached') || 1)) {
+                return false;
+            }
+
+            if (step > current && !this.validateStep($steps, current)) {
+                return false;
+            }
+
+            this.goTo($steps, step, true);
+            return true;
+        },
+
+        /**
+         * Validate the fields of a step
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @param {number} step   Step number
+         * @return {boolean} Whether the step is valid
+         */
+        validateStep: function ($steps, step) {
+            const $panel = this.getPanel($steps, step);
+
+            if (!$panel.length) {
+                return true;
+            }
+
+            if (typeof WPFlyout.validate === 'function') {
+                return WPFlyout.validate($panel);
+            }
+
+            return WPFlyout.Validators.validate($panel).isValid;
+        },
+
+        /**
+         * Show a step
+         *
+         * @since 1.1.0
+         * @param {jQuery}  $steps Progress steps element
+         * @param {number}  step   Step number
+         * @param {boolean} focus  Whether to focus the first field of the step
+         * @return {void}
+         */
+        goTo: function ($steps, step, focus) {
+            const total = this.getTotal($steps);
+
+            step = Math.max(1, Math.min(step, total));
+
+            const reached = Math.max($steps.data('wizardReached') || 1, step);
+
+            $steps.data('wizardReached', reached).attr('data-current', step);
+
+            this.updateSteps($steps, step, reached);
+            this.showPanel($steps, step, reached);
+            this.updateButtons($steps, step, total);
+
+            if (focus) {
+                const $panel = this.getPanel($steps, step);
+                $panel.find(WPFlyout.focusable).filter(':visible').first().trigger('focus');
+            }
+
+            $steps.trigger('progress-steps:changed', {step: step, total: total});
+        },
+
+        /**
+         * Update step classes, markers and ARIA state
+         *
+         * Steps before the furthest one reached have passed validation and
+         * are shown as complete.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps  Progress steps element
+         * @param {number} step    Current step
+         * @param {number} reached Furthest step reached
+         * @return {void}
+         */
+        updateSteps: function ($steps, step, reached) {
+            const clickable = $steps.hasClass('is-clickable');
+
+            $steps.find('.progress-step').each(function () {
+                const $item = $(this);
+                const number = parseInt($item.attr('data-step'), 10);
+                const isCurrent = number === step;
+                const isComplete = !isCurrent && number < reached;
+                const $marker = $item.find('.step-marker').empty();
+
+                $item
+                    .toggleClass('is-current', isCurrent)
+                    .toggleClass('is-complete', isComplete)
+                    .attr('aria-current', isCurrent ? 'step' : 'false');
+
+                if (isComplete) {
+                    $('<span class="dashicons dashicons-yes"></span>').attr('aria-label', 'Completed').appendTo($marker);
+                } else {
+                    $('<span class="step-number"></span>').text(number).appendTo($marker);
+                }
+
+                // Only reached steps other than the current one are buttons
+                const asButton = clickable && !isCurrent && number <= reached;
+                const $content = $item.children('.step-button, .step-content');
+
+                if ($content.is('button') !== asButton) {
+                    const $replacement = asButton
+                        ? $('<button type="button" class="step-button"></button>').attr('data-step', number)
+                        : $('<div class="step-content"></div>');
+
+                    $replacement.attr('aria-label', $content.attr('aria-label')).append($content.contents());
+                    $content.replaceWith($replacement);
+                }
+            });
+        },
+
+        /**
+         * Show the panel of the current step
+         *
+         * Tab panels are switched through their tab, with tabs of steps not
+         * yet reached disabled. Other panels are hidden and shown directly.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps  Progress steps element
+         * @param {number} step    Current step
+         * @param {number} reached Furthest step reached
+         * @return {void}
+         */
+        showPanel: function ($steps, step, reached) {
+            const $flyout = $steps.closest('.wp-flyout');
+            const total = this.getTotal($steps);
+
+            for (let number = 1; number <= total; number++) {
+                const $panel = this.getPanel($steps, number);
+
+                if ($panel.is('.wp-flyout-tab-content')) {
+                    const $tab = this.getTab($flyout, $panel);
+
+                    $tab.toggleClass('disabled', number > reached)
+                        .attr('aria-disabled', number > reached ? 'true' : 'false');
+
+                    if (number === step && !$tab.hasClass('active')) {
+                        $steps.data('wizardSwitching', true);
+                        $tab.trigger('click');
+                        $steps.removeData('wizardSwitching');
+                    }
+                } else {
+                    $panel.prop('hidden', number !== step);
+                }
+            }
+        },
+
+        /**
+         * Update the footer buttons for a step
+         *
+         * @since 1.1.0
+         * @param {jQuery} $steps Progress steps element
+         * @param {number} step   Current step
+         * @param {number} total  Step count
+         * @return {void}
+         */
+        updateButtons: function ($steps, step, total) {
+            const $flyout = $steps.closest('.wp-flyout');
+            const isLast = step === total;
+
+            $flyout.find('.wp-flyout-wizard-back').prop('disabled', step === 1);
+            $flyout.find('.wp-flyout-wizard-next').prop('hidden', isLast);
+            $flyout.find('.wp-flyout-save')
+                .prop('disabled', !isLast)
+                .attr('aria-disabled', isLast ? 'false' : 'true');
+        },
+
+        /**
+         * Follow a tab opened directly, e.g. to reveal an invalid field
+         *
+         * @since 1.1.0
+         * @param {Object} data Tab change data with flyoutId and tabId
+         * @return {void}
+         */
+        syncTab: function (data) {
+            const $steps = $('#' + data.flyoutId).find('.wp-flyout-progress-steps[data-wizard]').first();
+
+            if (!$steps.length || $steps.data('wizardSwitching')) return;
+
+            const total = this.getTotal($steps);
+
+            for (let number = 1; number <= total; number++) {
+                if (this.getPanel($steps, number).attr('id') === 'tab-' + data.tabId) {
+                    if (number !== this.getCurrent($steps)) {
+                        this.goTo($steps, number, false);
+                    }
+                    return;
+                }
+            }
+        }
+    };
+
+    // Initialize when ready
+    $(function () {
+        ProgressSteps.init();
+    });
+
+    // Export for external use
+    window.WPFlyoutProgressSteps = ProgressSteps;
+
+})(jQuery);
@@ -156,6 +156,8 @@
             // Animate in
             $tag.hide().fadeIn(200);
 
+            $container.trigger('tags:updated');
+
             return true;
         },
 
@@ -173,6 +175,7 @@
             $tag.fadeOut(200, function () {
                 $(this).remove();
                 $container.find(`input[type="hidden"][value="${value}"]`).remove();
+                $container.trigger('tags:updated');
             });
         },
 
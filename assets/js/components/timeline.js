@@ -0,0 +1,362 @@
+/**
+ * Timeline Component JavaScript
+ *
+ * Loads older events on demand, lets other components append events live
+ * through WPFlyoutTimeline.add() and keeps relative dates ("3 minutes ago")
+ * up to date, with the absolute time in a tooltip.
+ *
+ * Events triggered on the timeline:
+ * - timeline:loaded After older events were loaded
+ * - timeline:added  After an event was added live
+ *
+ * @package     ArrayPress\WPFlyout
+ * @version     1.0.0
+ */
+(function ($) {
+    'use strict';
+
+    /**
+     * Timeline controller
+     *
+     * @namespace WPFlyoutTimeline
+     * @since 1.1.0
+     */
+    const Timeline = {
+
+        /**
+         * How often relative dates are refreshed, in ms
+         *
+         * @type {number}
+         */
+        interval: 60000,
+
+        /**
+         * Refresh timer ID
+         *
+         * @type {number|null}
+         */
+        timer: null,
+
+        /**
+         * Cached relative time formatter
+         *
+         * @type {Intl.RelativeTimeFormat|null}
+         */
+        formatter: null,
+
+        /**
+         * Relative time units and their length in seconds, largest first
+         *
+         * @type {Array<Array>}
+         */
+        units: [
+            ['year', 31536000],
+            ['month', 2592000],
+            ['week', 604800],
+            ['day', 86400],
+            ['hour', 3600],
+            ['minute', 60]
+        ],
+
+        /**
+         * Initialize the component
+         *
+         * @since 1.1.0
+         * @return {void}
+         */
+        init: function () {
+            $(document).on('click', '.wp-flyout-timeline .timeline-load-more-btn', e => {
+                e.preventDefault();
+                this.loadMore($(e.currentTarget).closest('.wp-flyout-timeline')).catch(() => {});
+            });
+
+            $(document).on('wpflyout:opened', (e, data) => this.refreshDates($(data.element)));
+
+            this.refreshDates($(document));
+        },
+
+        /**
+         * Load the next batch of older events
+         *
+         * Sends the number of events shown as `offset` and the date of the
+         * oldest one as `before`, so either paging style works.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $timeline Timeline element
+         * @return {Promise<void>}
+         */
+        loadMore: function ($timeline) {
+            const $button = $timeline.find('.timeline-load-more-btn');
+            const $items = $timeline.children('.timeline-item');
+
+            if ($button.prop('disabled')) {
+                return Promise.resolve();
+            }
+
+            $button.data('original-text', $button.text())
+                .prop('disabled', true)
+                .addClass('is-loading')
+                .text('Loading...');
+
+            return WPFlyout.request({
+                action: $timeline.data('ajax-load-more'),
+                _wpnonce: $timeline.data('load-more-nonce'),
+                offset: $items.length,
+                before: $items.last().find('.timeline-date').attr('datetime') || '',
+                id: $timeline.closest('form').find('input[name="id"]').val() || ''
+            }, {flyout: $timeline, retries: 1})
+                .then(data => {
+                    const hasMore = !!(data && data.has_more);
+                    const $loaded = $($.parseHTML($.trim(data && data.html || ''))).filter('.timeline-item');
+
+                    $timeline.find('.timeline-load-more').before($loaded);
+
+                    if (!hasMore) {
+                        $timeline.find('.timeline-load-more').remove();
+                    }
+
+                    this.updateLastItem($timeline);
+                    this.refreshDates($timeline);
+
+                    $timeline.trigger('timeline:loaded', {items: $loaded.get(), hasMore: hasMore});
+                })
+                .catch(error => {
+                    WPFlyout.Request.report(error, $timeline);
+                    throw error;
+                })
+                .finally(() => {
+                    $button.prop('disabled', false)
+                        .removeClass('is-loading')
+                        .text($button.data('original-text'));
+                });
+        },
+
+        /**
+         * Add an event to the top of a timeline
+         *
+         * @since 1.1.0
+         * @param {Object}             event               Event data
+         * @param {string}             event.title         Title (required)
+         * @param {string}             [event.description] Description, shown as text
+         * @param {Date|string|number} [event.date]        Date, Unix timestamp or ISO string; defaults to now
+         * @param {string}             [event.type]        Type, e.g. 'success' or 'info'
+         * @param {string}             [event.icon]        Dashicon name without the prefix
+         * @param {*}                  [target]            Timeline, or an element containing one;
+         *                                                 defaults to the top-most open flyout
+         * @return {jQuery} Added item, or an empty set when nothing was added
+         */
+        add: function (event, target) {
+            const $timeline = this.resolve(target);
+
+            if (!$timeline.length || !event || !event.title) {
+                return $();
+            }
+
+            const $item = this.createItem(event).addClass('is-new');
+
+            $timeline.prepend($item);
+
+            this.updateLastItem($timeline);
+            this.refreshDates($timeline);
+
+            $timeline.trigger('timeline:added', {item: $item[0], event: event});
+
+            return $item;
+        },
+
+        /**
+         * Find the timeline an event should be added to
+         *
+         * @since 1.1.0
+         * @param {*} [target] Timeline or an element containing one
+         * @return {jQuery} Timeline element or empty set
+         */
+        resolve: function (target) {
+            let $target;
+
+            if (target) {
+                $target = $(target);
+            } else {
+                const flyoutId = WPFlyout.getLastId();
+                $target = flyoutId ? $('#' + flyoutId) : $(document.body);
+            }
+
+            return $target.filter('.wp-flyout-timeline').add($target.find('.wp-flyout-timeline')).first();
+        },
+
+        /**
+         * Build the markup of an event, matching the PHP component
+         *
+         * @since 1.1.0
+         * @param {Object} event Event data
+         * @return {jQuery} Item element
+         */
+        createItem: function (event) {
+            const type = String(event.type || 'default').replace(/[^A-Za-z0-9_-]/g, '');
+            const icon = String(event.icon || 'marker').replace(/[^A-Za-z0-9_-]/g, '');
+            const date = this.parseDate(event.date);
+
+            const $item = $('<div class="timeline-item"></div>').addClass('timeline-item-' + type);
+            const $content = $('<div class="timeline-content"></div>');
+
+            $('<div class="timeline-badge"></div>')
+                .append($('<span class="dashicons"></span>').addClass('dashicons-' + icon))
+                .appendTo($item);
+
+            if (date) {
+                $('<time class="timeline-date"></time>')
+                    .attr({datetime: date.toISOString(), title: date.toLocaleString()})
+                    .text(date.toLocaleString())
+                    .appendTo($content);
+            }
+
+            $('<h4 class="timeline-title"></h4>').text(event.title).appendTo($content);
+
+            if (event.description) {
+                $('<p class="timeline-description"></p>').text(event.description).appendTo($content);
+            }
+
+            return $item.append($content);
+        },
+
+        /**
+         * Parse an event date
+         *
+         * Numbers below 1e12 are taken as Unix timestamps in seconds, as
+         * sent by PHP; larger ones as milliseconds.
+         *
+         * @since 1.1.0
+         * @param {Date|string|number} [value] Date value, defaults to now
+         * @return {Date|null} Date or null when invalid
+         */
+        parseDate: function (value) {
+            if (value === undefined || value === null || value === '') {
+                return new Date();
+            }
+
+            if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+                const number = Number(value);
+                value = number < 1e12 ? number * 1000 : number;
+            }
+
+            const date = value instanceof Date ? value : new Date(value);
+
+            return isNaN(date.getTime()) ? null : date;
+        },
+
+        /**
+         * Mark the oldest event once the timeline has no more to load
+         *
+         * @since 1.1.0
+         * @param {jQuery} $timeline Timeline element
+         * @return {void}
+         */
+        updateLastItem: function ($timeline) {
+            const $items = $timeline.children('.timeline-item').removeClass('last-item');
+
+            if (!$timeline.find('.timeline-load-more').length) {
+                $items.last().addClass('last-item');
+            }
+        },
+
+        /**
+         * Update relative dates inside a container
+         *
+         * Also starts the refresh timer, which stops by itself once no
+         * timeline with relative dates is left on the page.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $container Container element
+         * @return {void}
+         */
+        refreshDates: function ($container) {
+            const formatter = this.getFormatter();
+            const now = Date.now();
+
+            if (!formatter) return;
+
+            $container.find('.wp-flyout-timeline[data-relative-dates]')
+                .add($container.filter('.wp-flyout-timeline[data-relative-dates]'))
+                .find('time.timeline-date[datetime]')
+                .each((i, element) => {
+                    const time = Date.parse(element.getAttribute('datetime'));
+
+                    if (!isNaN(time)) {
+                        element.textContent = this.formatRelative(time, now);
+                    }
+                });
+
+            this.startTimer();
+        },
+
+        /**
+         * Start refreshing relative dates on an interval
+         *
+         * @since 1.1.0
+         * @return {void}
+         */
+        startTimer: function () {
+            if (this.timer || !$('.wp-flyout-timeline[data-relative-dates]').length) return;
+
+            this.timer = setInterval(() => {
+                if (!$('.wp-flyout-timeline[data-relative-dates]').length) {
+                    clearInterval(this.timer);
+                    this.timer = null;
+                    return;
+                }
+
+                this.refreshDates($(document));
+            }, this.interval);
+        },
+
+        /**
+         * Get the relative time formatter for the admin language
+         *
+         * @since 1.1.0
+         * @return {Intl.RelativeTimeFormat|null} Formatter, or null when unsupported
+         */
+        getFormatter: function () {
+            if (!this.formatter && window.Intl && Intl.RelativeTimeFormat) {
+                try {
+                    this.formatter = new Intl.RelativeTimeFormat(document.documentElement.lang || undefined, {numeric: 'auto'});
+                } catch (e) {
+                    this.formatter = new Intl.RelativeTimeFormat(undefined, {numeric: 'auto'});
+                }
+            }
+
+            return this.formatter;
+        },
+
+        /**
+         * Format a time relative to now, e.g. "3 minutes ago"
+         *
+         * @since 1.1.0
+         * @param {number} time Time in ms
+         * @param {number} now  Current time in ms
+         * @return {string} Relative time
+         */
+        formatRelative: function (time, now) {
+            const seconds = Math.round((time - now) / 1000);
+            const formatter = this.getFormatter();
+
+            for (let i = 0; i < this.units.length; i++) {
+                const [unit, size] = this.units[i];
+
+                if (Math.abs(seconds) >= size) {
+                    return formatter.format(Math.trunc(seconds / size), unit);
+                }
+            }
+
+            return formatter.format(0, 'second');
+        }
+    };
+
+    // Initialize when ready
+    $(function () {
+        Timeline.init();
+    });
+
+    // Export for external use
+    window.WPFlyoutTimeline = Timeline;
+
+})(jQuery);
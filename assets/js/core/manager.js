@@ -2,7 +2,12 @@
  * WP Flyout Manager - Simplified version
  *
  * Handles AJAX flyout loading, saving, and deletion.
- * Always reloads page after successful save/delete operations.
+ * Applies server-sent DOM updates after save/delete, falling back to a
+ * full page reload when the response carries no instructions.
+ *
+ * Flyouts can also be driven from code through WPFlyout.load(),
+ * WPFlyout.save(), WPFlyout.delete() and WPFlyout.reload(). WPFlyout.validate()
+ * checks part of a flyout, such as one wizard step, with inline errors.
  *
  * @package     ArrayPress\WPFlyout
  * @version     1.0.0
@@ -12,6 +17,54 @@
 
     const WPFlyoutManager = {
 
+        /**
+         * Events that may change the form state
+         *
+         * @since 1.1.0
+         * @type {string}
+         */
+        dirtyEvents: 'input change sortupdate tags:updated image-gallery:update file-manager:update lineitems:updated',
+
+        /**
+         * Request keys that flyout data can never set
+         *
+         * @since 1.1.0
+         * @type {string[]}
+         */
+        reservedData: ['action', 'flyout', 'flyout_action', 'nonce', 'form_data'],
+
+        /**
+         * Deep-linked flyouts closed through browser navigation
+         *
+         * @since 1.1.0
+         * @type {Object<string, boolean>}
+         */
+        historyClosed: {},
+
+        /**
+         * Number of loading placeholders created, used for unique IDs
+         *
+         * @since 1.1.0
+         * @type {number}
+         */
+        placeholderCount: 0,
+
+        /**
+         * Cached load requests keyed by manager, flyout and data
+         *
+         * @since 1.1.0
+         * @type {Object<string, {request: Promise, expires: number, manager: string, record: string}>}
+         */
+        cache: {},
+
+        /**
+         * Seconds a prefetched flyout stays cached when its trigger sets no TTL
+         *
+         * @since 1.1.0
+         * @type {number}
+         */
+        prefetchTtl: 30,
+
         /**
          * Initialize manager
          *
@@ -20,11 +73,20 @@
          */
         init: function () {
             $(document).on('click', '.wp-flyout-trigger', this.handleTrigger.bind(this));
+            $(document).on('mouseenter focusin', '.wp-flyout-trigger[data-flyout-prefetch]', this.handlePrefetch.bind(this));
+            $(document).on('mouseleave focusout', '.wp-flyout-trigger[data-flyout-prefetch]', e => {
+                clearTimeout($(e.currentTarget).data('flyoutPrefetchTimer'));
+            });
+            $(window).on('popstate', this.handlePopState.bind(this));
+
+            this.restoreLink();
         },
 
         /**
          * Handle trigger click
          *
+         * Repeat clicks are ignored while the trigger's flyout is loading.
+         *
          * @since 1.0.0
          * @param {jQuery.Event} e Click event
          * @return {void}
@@ -33,9 +95,19 @@
             e.preventDefault();
 
             const $btn = $(e.currentTarget);
+
+            if ($btn.data('flyoutPending')) {
+                return;
+            }
+
             const config = this.extractConfig($btn);
 
-            this.loadFlyout(config);
+            $btn.data('flyoutPending', true).attr('aria-busy', 'true');
+
+            // Failures are already reported to the user
+            this.loadFlyout(config)
+                .catch(() => {})
+                .finally(() => $btn.removeData('flyoutPending').removeAttr('aria-busy'));
         },
 
         /**
@@ -50,12 +122,23 @@
                 flyout: $btn.data('flyout'),
                 manager: $btn.data('flyout-manager'),
                 nonce: $btn.data('flyout-nonce'),
+                refreshParent: !!$btn.data('flyout-refresh-parent'),
+                link: $btn.data('flyout-link') || '',
+                title: $btn.attr('data-flyout-title') || '',
+                size: $btn.attr('data-flyout-size') || '',
+                cache: parseInt($btn.attr('data-flyout-cache'), 10) || 0,
+                prefetch: $btn.is('[data-flyout-prefetch]'),
                 data: {}
             };
 
             // Collect additional data attributes
+            const reserved = [
+                'flyout', 'flyoutManager', 'flyoutNonce', 'flyoutRefreshParent', 'flyoutLink',
+                'flyoutTitle', 'flyoutSize', 'flyoutCache', 'flyoutPrefetch'
+            ];
+
             $.each($btn[0].dataset, (key, value) => {
-                if (!['flyout', 'flyoutManager', 'flyoutNonce'].includes(key)) {
+                if (!reserved.includes(key) && !this.reservedData.includes(key)) {
                     config.data[key] = value;
                 }
             });
@@ -66,46 +149,284 @@
         /**
          * Load flyout via AJAX
          *
+         * Opens a placeholder panel straight away and fills it in once the
+         * HTML arrives.
+         *
          * @since 1.0.0
+         * @since 1.1.0 Returns a promise and shows a loading placeholder
          * @param {Object} config Flyout configuration
-         * @return {void}
+         * @return {Promise<HTMLElement>} Resolves to the opened flyout element
          */
         loadFlyout: function (config) {
-            $.post(ajaxurl, {
+            const $flyout = this.createPlaceholder(config);
+
+            $flyout.appendTo('body');
+            WPFlyout.open($flyout.attr('id'));
+
+            return this.fetchFlyout($flyout, config);
+        },
+
+        /**
+         * Request the flyout HTML for a placeholder
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Placeholder flyout element
+         * @param {Object} config  Flyout configuration
+         * @return {Promise<HTMLElement>} Resolves to the filled flyout element
+         */
+        fetchFlyout: function ($flyout, config) {
+            $flyout.addClass('is-loading').attr('aria-busy', 'true');
+            $flyout.find('.wp-flyout-body').html(this.getSkeletonHtml());
+
+            return this.requestFlyout(config, $flyout)
+                .then(data => this.displayFlyout($flyout, data.html, config))
+                .catch(error => {
+                    if (!error.aborted) {
+                        this.showLoadError($flyout, config, error);
+                    }
+                    throw error;
+                });
+        },
+
+        /**
+         * Request the flyout HTML, going through the cache when enabled
+         *
+         * Cached requests are shared by every caller until they expire and
+         * are not tied to a flyout, so closing one doesn't abort the other.
+         *
+         * @since 1.1.0
+         * @param {Object} config    Flyout configuration
+         * @param {jQuery} [$flyout] Flyout the uncached request belongs to
+         * @return {Promise<Object>} Load response data
+         */
+        requestFlyout: function (config, $flyout) {
+            const payload = {
+                ...config.data,
                 action: 'wp_flyout_' + config.manager,
                 flyout: config.flyout,
                 flyout_action: 'load',
-                nonce: config.nonce,
-                ...config.data
-            })
-                .done(response => {
-                    if (response.success) {
-                        this.displayFlyout(response.data.html, config);
-                    } else {
-                        alert(response.data || 'Failed to load flyout');
-                    }
-                })
-                .fail(() => alert('Connection failed'));
+                nonce: config.nonce
+            };
+            const ttl = config.cache || (config.prefetch ? this.prefetchTtl : 0);
+
+            if (ttl <= 0) {
+                return WPFlyout.request(payload, {flyout: $flyout, retries: 2});
+            }
+
+            const key = this.getCacheKey(config);
+            const entry = this.cache[key];
+
+            if (entry && entry.expires > Date.now()) {
+                return entry.request;
+            }
+
+            const request = WPFlyout.request(payload, {retries: 2});
+
+            this.pruneCache();
+            this.cache[key] = {
+                request: request,
+                expires: Date.now() + ttl * 1000,
+                manager: String(config.manager),
+                record: this.getRecordKey(config.data)
+            };
+
+            // Never keep failures around
+            request.catch(() => {
+                if (this.cache[key] && this.cache[key].request === request) {
+                    delete this.cache[key];
+                }
+            });
+
+            return request;
         },
 
         /**
-         * Display flyout and setup handlers
+         * Prefetch a flyout shortly after its trigger is hovered or focused
          *
-         * @since 1.0.0
-         * @param {string} html   Flyout HTML content
+         * @since 1.1.0
+         * @param {jQuery.Event} e Mouseenter or focusin event
+         * @return {void}
+         */
+        handlePrefetch: function (e) {
+            const $btn = $(e.currentTarget);
+
+            clearTimeout($btn.data('flyoutPrefetchTimer'));
+
+            $btn.data('flyoutPrefetchTimer', setTimeout(() => {
+                this.requestFlyout(this.extractConfig($btn)).catch(() => {});
+            }, 100));
+        },
+
+        /**
+         * Build the cache key of a flyout load
+         *
+         * @since 1.1.0
+         * @param {Object} config Flyout configuration
+         * @return {string} Cache key
+         */
+        getCacheKey: function (config) {
+            return JSON.stringify([String(config.manager), String(config.flyout), this.getRecordKey(config.data)]);
+        },
+
+        /**
+         * Build a stable key from flyout data, identifying the record
+         *
+         * @since 1.1.0
+         * @param {Object} data Flyout data
+         * @return {string} Record key
+         */
+        getRecordKey: function (data) {
+            data = data || {};
+
+            return JSON.stringify(Object.keys(data).sort().map(key => [key, String(data[key])]));
+        },
+
+        /**
+         * Drop cached loads of a record from every flyout of its manager
+         *
+         * @since 1.1.0
          * @param {Object} config Flyout configuration
          * @return {void}
          */
-        displayFlyout: function (html, config) {
-            // Remove existing flyouts and add new one
-            $('.wp-flyout').remove();
-            $('body').append(html);
+        invalidateCache: function (config) {
+            const record = this.getRecordKey(config.data);
 
-            const $flyout = $('.wp-flyout').last();
-            const flyoutId = $flyout.attr('id');
+            $.each(this.cache, (key, entry) => {
+                if (entry.manager === String(config.manager) && entry.record === record) {
+                    delete this.cache[key];
+                }
+            });
+        },
+
+        /**
+         * Remove expired cache entries
+         *
+         * @since 1.1.0
+         * @return {void}
+         */
+        pruneCache: function () {
+            const now = Date.now();
+
+            $.each(this.cache, (key, entry) => {
+                if (entry.expires <= now) {
+                    delete this.cache[key];
+                }
+            });
+        },
+
+        /**
+         * Build the placeholder shown while a flyout loads
+         *
+         * @since 1.1.0
+         * @param {Object} config Flyout configuration
+         * @return {jQuery} Placeholder flyout element
+         */
+        createPlaceholder: function (config) {
+            const id = 'wp-flyout-loading-' + (++this.placeholderCount);
+            const $title = $('<h2 class="wp-flyout-title">').attr('id', id + '-title');
+
+            if (config.title) {
+                $title.text(config.title);
+            } else {
+                $title.html('<span class="wp-flyout-skeleton-line"></span>');
+            }
+
+            const $flyout = $('<div class="wp-flyout wp-flyout-right wp-flyout-dynamic">')
+                .attr('id', id)
+                .addClass('wp-flyout-' + (config.size || 'medium'));
+
+            $('<div class="wp-flyout-header">')
+                .append($('<div class="wp-flyout-header-content">').append($title))
+                .append('<button type="button" class="wp-flyout-close" aria-label="Close"><span class="dashicons dashicons-no-alt"></span></button>')
+                .appendTo($flyout);
+
+            $('<div class="wp-flyout-body">').appendTo($flyout);
+
+            return $flyout;
+        },
+
+        /**
+         * Get the skeleton markup for a loading flyout body
+         *
+         * @since 1.1.0
+         * @return {string} HTML
+         */
+        getSkeletonHtml: function () {
+            const field = '<span class="wp-flyout-skeleton-line is-label"></span>' +
+                '<span class="wp-flyout-skeleton-line is-field"></span>';
+
+            return '<div class="wp-flyout-skeleton" aria-hidden="true">' +
+                field + field + field +
+                '<span class="wp-flyout-skeleton-line"></span>' +
+                '<span class="wp-flyout-skeleton-line is-short"></span>' +
+                '</div>' +
+                '<span class="screen-reader-text">Loading…</span>';
+        },
+
+        /**
+         * Show a failed load inside the placeholder with a retry button
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Placeholder flyout element
+         * @param {Object} config  Flyout configuration
+         * @param {Error}  error   Request error
+         * @return {void}
+         */
+        showLoadError: function ($flyout, config, error) {
+            const $retry = $('<button type="button" class="button wp-flyout-retry-load">Try again</button>');
 
-            // Open it
-            WPFlyout.open(flyoutId);
+            $flyout.removeClass('is-loading').removeAttr('aria-busy');
+            $flyout.find('.wp-flyout-body').empty().append(
+                $('<div class="wp-flyout-load-error" role="alert">')
+                    .append($('<p>').text(error.message))
+                    .append($retry)
+            );
+
+            $retry.on('click', e => {
+                e.preventDefault();
+                this.fetchFlyout($flyout, config).catch(() => {});
+            });
+
+            if ($flyout.data('flyoutOpened')) {
+                $retry.trigger('focus');
+            }
+        },
+
+        /**
+         * Display flyout and setup handlers
+         *
+         * Fills the placeholder with the loaded markup, taking over its ID,
+         * classes and attributes. Flyouts opened while another is active are
+         * stacked on top of it, leaving the parent and its loaded state in
+         * place.
+         *
+         * @since 1.0.0
+         * @since 1.1.0 Stacks on top of open flyouts instead of replacing them
+         * @since 1.1.0 Fills a loading placeholder
+         * @param {jQuery} $flyout Placeholder flyout element
+         * @param {string} html    Flyout HTML content
+         * @param {Object} config  Flyout configuration
+         * @return {HTMLElement} Flyout element
+         */
+        displayFlyout: function ($flyout, html, config) {
+            // Closed while loading
+            if (!WPFlyout.active.includes($flyout.attr('id'))) {
+                throw WPFlyout.Request.createError('abort');
+            }
+
+            const $fresh = this.parseFlyout(html);
+            const flyoutId = $fresh.attr('id');
+            const state = ['active', 'is-stacked', 'wp-flyout-dynamic'].filter(name => $flyout.hasClass(name));
+
+            WPFlyout.renameFlyout($flyout.attr('id'), flyoutId);
+
+            $.each($fresh[0].attributes, (i, attr) => $flyout.attr(attr.name, attr.value));
+            $flyout.addClass(state.join(' ')).removeAttr('aria-busy');
+            $flyout.empty().append($fresh.children());
+
+            WPFlyout.setupDialog($flyout);
+            WPFlyout.updateStack();
+            WPFlyout.initTabs($flyout);
 
             // Store config
             $flyout.data(config);
@@ -115,6 +436,113 @@
 
             // Bind handlers
             this.bindHandlers($flyout, flyoutId, config);
+
+            // Reflect in the URL
+            if (config.link) {
+                this.writeLink(flyoutId, config);
+            }
+
+            // Announce the content now if the open animation already ended
+            if ($flyout.data('flyoutOpened')) {
+                WPFlyout.focusFlyout(flyoutId);
+                $(document).trigger('wpflyout:opened', {id: flyoutId, element: $flyout[0]});
+                $flyout.trigger('flyout:ready');
+            }
+
+            return $flyout[0];
+        },
+
+        /**
+         * Parse flyout element from response HTML
+         *
+         * @since 1.1.0
+         * @param {string} html Flyout HTML content
+         * @return {jQuery} Flyout element
+         */
+        parseFlyout: function (html) {
+            return $($.parseHTML($.trim(html), document, true)).filter('.wp-flyout').first();
+        },
+
+        /**
+         * Get stored configuration of an open flyout
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Flyout element
+         * @return {Object} Flyout configuration
+         */
+        getConfig: function ($flyout) {
+            return {
+                flyout: $flyout.data('flyout'),
+                manager: $flyout.data('manager'),
+                nonce: $flyout.data('nonce'),
+                refreshParent: !!$flyout.data('refreshParent'),
+                link: $flyout.data('link') || '',
+                cache: $flyout.data('cache') || 0,
+                prefetch: !!$flyout.data('prefetch'),
+                data: $flyout.data('data') || {}
+            };
+        },
+
+        /**
+         * Reload the contents of an open flyout in place
+         *
+         * Keeps the flyout element, its ID and bound handlers, and swaps the
+         * header, tabs, body and footer for freshly loaded markup. Edits made
+         * while the markup was loading are kept and the refresh is dropped.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Flyout element
+         * @return {Promise<HTMLElement>} Resolves to the refreshed flyout element
+         */
+        refreshFlyout: function ($flyout) {
+            const config = this.getConfig($flyout);
+
+            if (!config.manager) {
+                return Promise.reject(this.createError('Flyout was not opened by a manager'));
+            }
+
+            const flyoutId = $flyout.attr('id');
+            const state = WPFlyout.getFormState(flyoutId);
+
+            $flyout.addClass('is-refreshing');
+            this.invalidateCache(config);
+
+            return WPFlyout.request({
+                ...config.data,
+                action: 'wp_flyout_' + config.manager,
+                flyout: config.flyout,
+                flyout_action: 'load',
+                nonce: config.nonce
+            }, {flyout: $flyout, retries: 2})
+                .then(data => {
+                    if (WPFlyout.getFormState(flyoutId) !== state) {
+                        throw this.createError('The form was changed while it was being refreshed');
+                    }
+
+                    const $fresh = this.parseFlyout(data.html);
+                    $flyout.empty().append($fresh.children());
+
+                    this.ensureForm($flyout);
+                    WPFlyout.setupDialog($flyout);
+                    WPFlyout.initTabs($flyout);
+
+                    // Let components initialize the new content
+                    $(document).trigger('wpflyout:opened', {
+                        id: $flyout.attr('id'),
+                        element: $flyout[0],
+                        refreshed: true
+                    });
+
+                    WPFlyout.markClean($flyout.attr('id'));
+                    return $flyout[0];
+                })
+                .catch(error => {
+                    if (!error.aborted) {
+                        this.showAlert($flyout, error.message, 'error');
+                    }
+                    throw error;
+                })
+                .finally(() => $flyout.removeClass('is-refreshing'));
         },
 
         /**
@@ -146,132 +574,915 @@
             // Save button
             $flyout.on('click', '.wp-flyout-save', e => {
                 e.preventDefault();
-                this.handleSave($flyout, flyoutId, config);
+                this.handleSave($flyout, flyoutId, config).catch(() => {});
             });
 
             // Delete button
             $flyout.on('click', '.wp-flyout-delete', e => {
                 e.preventDefault();
                 if (confirm('Are you sure you want to delete this item?')) {
-                    this.handleDelete($flyout, flyoutId, config);
+                    this.handleDelete($flyout, flyoutId, config).catch(() => {});
                 }
             });
 
-            // Close button (redundant since flyout.js handles this, but kept for safety)
+            // Retry a save after logging in again
+            $flyout.on('click', '.wp-flyout-retry-save', e => {
+                e.preventDefault();
+                $(e.currentTarget).closest('.wp-flyout-reauth').remove();
+                this.handleSave($flyout, flyoutId, config).catch(() => {});
+            });
+
+            // Close button (handled by flyout.js, just prevent default here)
             $flyout.on('click', '.wp-flyout-close', e => {
                 e.preventDefault();
-                WPFlyout.close(flyoutId);
             });
 
             // Clear error class on change
             $flyout.on('input change', '.error', function () {
                 $(this).removeClass('error');
             });
+
+            // Clear inline errors as the user edits
+            $flyout.on(this.dirtyEvents, '.has-error', e => {
+                this.clearFieldError($(e.currentTarget));
+            });
+
+            // Validate fields as the user leaves them
+            $flyout.on(this.dirtyEvents, e => {
+                $(e.target).data('wpFlyoutTouched', true);
+            });
+
+            $flyout.on('focusout', ':input', e => {
+                this.validateOnBlur($(e.target));
+            });
+
+            // Snapshot the form once components have initialized
+            $flyout.one('flyout:ready', () => WPFlyout.markClean(flyoutId));
+
+            // Track changes, including widgets backed by hidden inputs
+            $flyout.on(this.dirtyEvents, () => {
+                setTimeout(() => WPFlyout.updateDirtyState(flyoutId), 0);
+            });
+
+            // Drop the deep link once this flyout closes
+            if (config.link) {
+                $(document).on('wpflyout:closed.link-' + flyoutId, (e, data) => {
+                    if (data.id !== flyoutId) return;
+
+                    $(document).off('wpflyout:closed.link-' + flyoutId);
+                    this.clearLink(flyoutId, config);
+                });
+            }
         },
 
         /**
-         * Validate form
+         * Build the current URL with or without flyout link parameters
          *
-         * @since 1.0.0
-         * @param {jQuery} $form Form element
-         * @return {Object} Validation result with isValid flag and first invalid field
+         * Parameters are namespaced so they don't collide with admin query
+         * vars: flyout, flyout_manager and flyout_{key} for each data key.
+         * Nonces are never written to the URL.
+         *
+         * @since 1.1.0
+         * @param {Object}  config Flyout configuration
+         * @param {boolean} clear  Only strip existing flyout parameters
+         * @return {string} URL
          */
-        validateForm: function ($form) {
-            let isValid = true;
-            let firstInvalid = null;
+        buildLinkUrl: function (config, clear) {
+            const url = new URL(window.location.href);
+            const useQuery = config.link === 'query';
+            const params = useQuery ? url.searchParams : new URLSearchParams(url.hash.slice(1));
 
-            $form.find('[required]:visible:enabled').each(function () {
-                const $field = $(this);
-                const value = $field.val();
+            Array.from(params.keys())
+                .filter(key => key === 'flyout' || key.indexOf('flyout_') === 0)
+                .forEach(key => params.delete(key));
 
-                if (!value || (Array.isArray(value) && !value.length)) {
-                    isValid = false;
-                    $field.addClass('error');
-                    firstInvalid = firstInvalid || $field;
-                } else {
-                    $field.removeClass('error');
-                }
-            });
+            if (!clear) {
+                params.set('flyout', config.flyout);
+                params.set('flyout_manager', config.manager);
+
+                $.each(config.data || {}, (key, value) => params.set('flyout_' + key, value));
+            }
+
+            if (useQuery) {
+                url.search = params.toString();
+            } else {
+                url.hash = params.toString();
+            }
 
-            return {isValid, firstInvalid};
+            return url.toString();
         },
 
         /**
-         * Handle save action
+         * Read a flyout link from the current URL
          *
-         * Validates form, sends save request, and always reloads page on success.
-         *
-         * @since 1.0.0
-         * @since 1.0.0 Removed conditional reload - always reloads on success
-         * @param {jQuery} $flyout  Flyout element
-         * @param {string} flyoutId Flyout ID
-         * @param {Object} config   Flyout configuration
-         * @return {void}
+         * @since 1.1.0
+         * @return {Object|null} Partial configuration or null when absent
          */
-        handleSave: function ($flyout, flyoutId, config) {
-            const $form = $flyout.find('form').first();
-            const $saveBtn = $flyout.find('.wp-flyout-save');
-            const $body = $flyout.find('.wp-flyout-body');
+        readLink: function () {
+            const sources = {
+                query: new URLSearchParams(window.location.search),
+                hash: new URLSearchParams(window.location.hash.slice(1))
+            };
 
-            // Validate
-            const validation = this.validateForm($form);
-            if (!validation.isValid) {
-                $body.animate({scrollTop: 0}, 300);
-                this.showAlert($flyout, 'Please fill in all required fields.', 'error');
-                if (validation.firstInvalid) {
-                    validation.firstInvalid.focus();
-                }
-                return;
-            }
+            for (const link in sources) {
+                const params = sources[link];
 
-            // Save
-            this.setButtonState($saveBtn, true, 'Saving...');
+                if (!params.get('flyout') || !params.get('flyout_manager')) continue;
 
-            $.post(ajaxurl, {
-                action: 'wp_flyout_' + config.manager,
-                flyout: config.flyout,
-                flyout_action: 'save',
-                nonce: config.nonce,
-                form_data: $form.serialize(),
-                ...config.data
-            })
-                .done(response => {
-                    this.setButtonState($saveBtn, false);
+                const config = {
+                    flyout: params.get('flyout'),
+                    manager: params.get('flyout_manager'),
+                    link: link,
+                    data: {}
+                };
 
-                    if (response.success) {
-                        $body.animate({scrollTop: 0}, 300);
-                        const message = response.data?.message || 'Saved successfully!';
-                        this.showAlert($flyout, message, 'success');
-
-                        // Always close and reload after delay
-                        setTimeout(() => {
-                            WPFlyout.close(flyoutId);
-                            location.reload();
-                        }, 1500);
-                    } else {
-                        $body.animate({scrollTop: 0}, 300);
-                        this.showAlert($flyout, response.data || 'An error occurred', 'error');
+                params.forEach((value, key) => {
+                    const name = key.slice(7);
+
+                    if (key.indexOf('flyout_') === 0 && key !== 'flyout_manager' && !this.reservedData.includes(name)) {
+                        config.data[name] = value;
                     }
-                })
-                .fail(() => {
-                    this.setButtonState($saveBtn, false);
-                    $body.animate({scrollTop: 0}, 300);
-                    this.showAlert($flyout, 'Connection error', 'error');
                 });
+
+                return config;
+            }
+
+            return null;
         },
 
         /**
-         * Handle delete action
-         *
-         * Sends delete request and always reloads page on success.
+         * Push or replace the history entry for a deep-linked flyout
          *
-         * @since 1.0.0
-         * @since 1.0.0 Removed conditional reload - always reloads on success
-         * @param {jQuery} $flyout  Flyout element
+         * @since 1.1.0
          * @param {string} flyoutId Flyout ID
          * @param {Object} config   Flyout configuration
          * @return {void}
          */
+        writeLink: function (flyoutId, config) {
+            const mode = config.history || 'push';
+            const state = {
+                wpFlyout: {
+                    id: flyoutId,
+                    // Entries restored on page load can't be left with history.back()
+                    pushed: mode !== 'restore',
+                    config: {
+                        flyout: config.flyout,
+                        manager: config.manager,
+                        nonce: config.nonce,
+                        refreshParent: config.refreshParent,
+                        link: config.link,
+                        title: config.title,
+                        size: config.size,
+                        cache: config.cache,
+                        data: config.data
+                    }
+                }
+            };
+
+            $('#' + flyoutId).data('linkState', state);
+
+            if (mode === 'push') {
+                history.pushState(state, '', this.buildLinkUrl(config));
+            } else {
+                history.replaceState(state, '', this.buildLinkUrl(config));
+            }
+        },
+
+        /**
+         * Remove the deep link of a flyout closed from the UI
+         *
+         * @since 1.1.0
+         * @param {string} flyoutId Flyout ID
+         * @param {Object} config   Flyout configuration
+         * @return {void}
+         */
+        clearLink: function (flyoutId, config) {
+            if (this.historyClosed[flyoutId]) {
+                delete this.historyClosed[flyoutId];
+                return;
+            }
+
+            const state = history.state && history.state.wpFlyout;
+            if (!state || state.id !== flyoutId) return;
+
+            if (state.pushed) {
+                history.back();
+            } else {
+                history.replaceState(null, '', this.buildLinkUrl(config, true));
+            }
+        },
+
+        /**
+         * Open the flyout linked from the current URL
+         *
+         * The nonce is taken from a matching trigger on the page, so links
+         * only open for users who could open the flyout themselves. Only
+         * flyouts whose triggers opted in to deep linking are restored, in
+         * the trigger's own link mode. The link can only fill in data keys
+         * the trigger declares itself.
+         *
+         * @since 1.1.0
+         * @return {void}
+         */
+        restoreLink: function () {
+            const link = this.readLink();
+            if (!link) return;
+
+            const $trigger = this.findTriggers(link.manager, link.flyout)
+                .filter('[data-flyout-link]')
+                .first();
+
+            if (!$trigger.length) {
+                console.warn('WP Flyout: No deep-linkable trigger found for linked flyout:', link.flyout);
+                return;
+            }
+
+            const config = this.extractConfig($trigger);
+
+            $.each(config.data, key => {
+                if (key in link.data) {
+                    config.data[key] = link.data[key];
+                }
+            });
+
+            this.loadFlyout($.extend(config, {history: 'restore'})).catch(() => {});
+        },
+
+        /**
+         * Find a trigger on the page for a manager flyout
+         *
+         * @since 1.1.0
+         * @param {string} manager Manager prefix
+         * @param {string} flyout  Flyout identifier
+         * @return {jQuery} Trigger element or empty set
+         */
+        findTrigger: function (manager, flyout) {
+            return this.findTriggers(manager, flyout).first();
+        },
+
+        /**
+         * Find all triggers on the page for a manager flyout
+         *
+         * @since 1.1.0
+         * @param {string} manager Manager prefix
+         * @param {string} flyout  Flyout identifier
+         * @return {jQuery} Trigger elements
+         */
+        findTriggers: function (manager, flyout) {
+            return $('.wp-flyout-trigger').filter(function () {
+                return String($(this).data('flyout')) === String(flyout) &&
+                    String($(this).data('flyout-manager')) === String(manager);
+            });
+        },
+
+        /**
+         * Open a manager flyout without a trigger element
+         *
+         * When no nonce is passed it is taken from a matching trigger on the
+         * page, as are the deep link and refresh-parent settings.
+         *
+         * @since 1.1.0
+         * @param {Object}  options                 Flyout options
+         * @param {string}  options.manager         Manager prefix
+         * @param {string}  options.flyout          Flyout identifier
+         * @param {string}  [options.nonce]         Flyout nonce
+         * @param {Object}  [options.data]          Data sent with the load request
+         * @param {boolean} [options.refreshParent] Refresh the parent flyout after saving
+         * @param {string}  [options.link]          Deep link mode, 'hash' or 'query'
+         * @param {string}  [options.title]         Title shown while loading
+         * @param {string}  [options.size]          Panel size while loading
+         * @param {number}  [options.cache]         Seconds to cache the loaded HTML
+         * @return {Promise<HTMLElement>} Resolves to the opened flyout element
+         */
+        load: function (options) {
+            options = options || {};
+
+            if (!options.manager || !options.flyout) {
+                return Promise.reject(this.createError('A manager and flyout are required'));
+            }
+
+            const $trigger = this.findTrigger(options.manager, options.flyout);
+            const config = {
+                flyout: options.flyout,
+                manager: options.manager,
+                nonce: options.nonce || $trigger.data('flyout-nonce') || '',
+                refreshParent: options.refreshParent !== undefined ? !!options.refreshParent : !!$trigger.data('flyout-refresh-parent'),
+                link: options.link !== undefined ? options.link : $trigger.data('flyout-link') || '',
+                title: options.title || $trigger.attr('data-flyout-title') || '',
+                size: options.size || $trigger.attr('data-flyout-size') || '',
+                cache: options.cache !== undefined ? parseInt(options.cache, 10) || 0 : parseInt($trigger.attr('data-flyout-cache'), 10) || 0,
+                data: options.data || {}
+            };
+
+            if (!config.nonce) {
+                return Promise.reject(this.createError('No nonce available for flyout: ' + options.flyout));
+            }
+
+            return this.loadFlyout(config);
+        },
+
+        /**
+         * Save an open manager flyout
+         *
+         * @since 1.1.0
+         * @param {string} flyoutId Flyout ID
+         * @return {Promise<Object>} Resolves to the save response data
+         */
+        save: function (flyoutId) {
+            const $flyout = this.getManagedFlyout(flyoutId);
+
+            if (!$flyout.length) {
+                return Promise.reject(this.createError('No open manager flyout: ' + flyoutId));
+            }
+
+            return this.handleSave($flyout, flyoutId, this.getConfig($flyout));
+        },
+
+        /**
+         * Delete the item shown in an open manager flyout
+         *
+         * Unlike the delete button, no confirmation is asked.
+         *
+         * @since 1.1.0
+         * @param {string} flyoutId Flyout ID
+         * @return {Promise<Object>} Resolves to the delete response data
+         */
+        remove: function (flyoutId) {
+            const $flyout = this.getManagedFlyout(flyoutId);
+
+            if (!$flyout.length) {
+                return Promise.reject(this.createError('No open manager flyout: ' + flyoutId));
+            }
+
+            return this.handleDelete($flyout, flyoutId, this.getConfig($flyout));
+        },
+
+        /**
+         * Reload an open manager flyout in place
+         *
+         * @since 1.1.0
+         * @param {string} flyoutId Flyout ID
+         * @return {Promise<HTMLElement>} Resolves to the refreshed flyout element
+         */
+        reload: function (flyoutId) {
+            const $flyout = this.getManagedFlyout(flyoutId);
+
+            if (!$flyout.length) {
+                return Promise.reject(this.createError('No open manager flyout: ' + flyoutId));
+            }
+
+            return this.refreshFlyout($flyout);
+        },
+
+        /**
+         * Get an open flyout that was loaded by a manager
+         *
+         * @since 1.1.0
+         * @param {string} flyoutId Flyout ID
+         * @return {jQuery} Flyout element or empty set
+         */
+        getManagedFlyout: function (flyoutId) {
+            return $('#' + flyoutId).filter(function () {
+                return !!$(this).data('manager') && WPFlyout.active.includes(this.id);
+            });
+        },
+
+        /**
+         * Create an error for a rejected promise
+         *
+         * @since 1.1.0
+         * @param {*} message Error message or response data
+         * @param {*} data    Response data
+         * @return {Error} Error with the response data attached
+         */
+        createError: function (message, data) {
+            const error = new Error(typeof message === 'string' ? message : 'Request failed');
+            error.data = data;
+            return error;
+        },
+
+        /**
+         * Sync deep-linked flyouts with browser navigation
+         *
+         * Going back closes the top linked flyout; going forward onto a
+         * flyout entry opens it again.
+         *
+         * @since 1.1.0
+         * @param {jQuery.Event} e Popstate event
+         * @return {void}
+         */
+        handlePopState: function (e) {
+            const state = e.originalEvent.state && e.originalEvent.state.wpFlyout;
+            const topId = WPFlyout.getLastId();
+            const $top = topId ? $('#' + topId) : $();
+
+            if ($top.data('linkState') && (!state || state.id !== topId)) {
+                this.historyClosed[topId] = true;
+
+                // Close refused for unsaved changes, restore the entry
+                if (WPFlyout.close(topId) === false) {
+                    delete this.historyClosed[topId];
+                    history.pushState($top.data('linkState'), '', this.buildLinkUrl(this.getConfig($top)));
+                }
+                return;
+            }
+
+            if (state && !WPFlyout.active.includes(state.id)) {
+                this.loadFlyout($.extend({}, state.config, {history: 'replace'})).catch(() => {});
+            }
+        },
+
+        /**
+         * Validate form
+         *
+         * Runs the WPFlyout.Validators rules and shows each failure inline.
+         *
+         * @since 1.0.0
+         * @since 1.1.0 Uses the validator registry with inline messages
+         * @param {jQuery} $form Form element
+         * @return {Object} Validation result with isValid flag and first invalid field
+         */
+        validateForm: function ($form) {
+            const result = WPFlyout.Validators.validate($form);
+
+            result.errors.forEach(error => this.setFieldError(error.$field, error.message));
+
+            return {
+                isValid: result.isValid,
+                firstInvalid: result.errors.length ? result.errors[0].$field : null
+            };
+        },
+
+        /**
+         * Validate a field when focus leaves it
+         *
+         * Only fields the user has changed, or that already show an error,
+         * are checked. Composite widgets are validated as a whole.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $input Input that lost focus
+         * @return {void}
+         */
+        validateOnBlur: function ($input) {
+            const Validators = WPFlyout.Validators;
+            const targets = [$input, $input.closest(Validators.getWidgetSelector())];
+
+            targets.forEach($target => {
+                if (!$target.length || !Validators.getRules($target).length) return;
+
+                const $owner = this.getErrorOwner($target);
+                if (!$target.data('wpFlyoutTouched') && !$owner.hasClass('has-error')) return;
+
+                const message = Validators.validateField($target);
+                if (message) {
+                    this.setFieldError($target, message);
+                } else {
+                    this.clearFieldError($owner);
+                }
+            });
+        },
+
+        /**
+         * Validate part of a flyout and show the errors inline
+         *
+         * Lets multi-step forms check one step at a time. The first invalid
+         * field is revealed and focused.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $container Element holding the fields
+         * @return {boolean} Whether all fields are valid
+         */
+        validateSection: function ($container) {
+            $container.find('.has-error').addBack('.has-error').each((i, el) => this.clearFieldError($(el)));
+
+            const validation = this.validateForm($container);
+
+            if (validation.firstInvalid) {
+                this.revealField($container.closest('.wp-flyout'), validation.firstInvalid);
+            }
+
+            return validation.isValid;
+        },
+
+        /**
+         * Handle save action
+         *
+         * Validates form, sends save request, and applies the response on success.
+         *
+         * @since 1.0.0
+         * @since 1.1.0 Applies response instructions instead of always reloading
+         * @since 1.1.0 Returns a promise
+         * @since 1.1.0 Renews an expired nonce and replays the save once
+         * @param {jQuery}  $flyout  Flyout element
+         * @param {string}  flyoutId Flyout ID
+         * @param {Object}  config   Flyout configuration
+         * @param {boolean} [replay] Whether this is the replay after a nonce renewal
+         * @return {Promise<Object>} Resolves to the save response data
+         */
+        handleSave: function ($flyout, flyoutId, config, replay) {
+            const $form = $flyout.find('form').first();
+            const $saveBtn = $flyout.find('.wp-flyout-save');
+            const $body = $flyout.find('.wp-flyout-body');
+
+            // Reset errors from the previous attempt
+            this.clearFieldErrors($flyout);
+
+            // Validate
+            const validation = this.validateForm($form);
+            if (!validation.isValid) {
+                $body.animate({scrollTop: 0}, 300);
+                this.showAlert($flyout, 'Please correct the errors below.', 'error');
+                if (validation.firstInvalid) {
+                    this.revealField($flyout, validation.firstInvalid);
+                }
+                return Promise.reject(this.createError('Please correct the errors below.'));
+            }
+
+            // Save
+            this.setButtonState($saveBtn, true, 'Saving...');
+
+            return WPFlyout.request({
+                ...config.data,
+                action: 'wp_flyout_' + config.manager,
+                flyout: config.flyout,
+                flyout_action: 'save',
+                nonce: config.nonce,
+                form_data: $form.serialize()
+            }, {flyout: $flyout})
+                .then(data => {
+                    this.setButtonState($saveBtn, false);
+                    WPFlyout.markClean(flyoutId);
+                    this.invalidateCache(config);
+
+                    $body.animate({scrollTop: 0}, 300);
+                    const message = data?.message || 'Saved successfully!';
+                    this.showAlert($flyout, message, 'success');
+
+                    // Close and apply the response after delay
+                    setTimeout(() => {
+                        WPFlyout.close(flyoutId);
+                        this.applyResponse(data, 'wpflyout:saved', flyoutId, config);
+                    }, 1500);
+
+                    return data;
+                }, error => {
+                    this.setButtonState($saveBtn, false);
+
+                    // Expired nonce: renew it and replay with the form untouched
+                    if (error.code === 'nonce' && !replay) {
+                        return this.renewNonce($flyout, config).then(
+                            () => this.handleSave($flyout, flyoutId, config, true),
+                            renewError => {
+                                this.showReauthPrompt($flyout, renewError);
+                                throw error;
+                            }
+                        );
+                    }
+
+                    if (error.code === 'error') {
+                        this.handleSaveError($flyout, error.data);
+                    } else if (!error.aborted) {
+                        $body.animate({scrollTop: 0}, 300);
+                        this.showAlert($flyout, error.message, 'error');
+                    }
+
+                    throw error;
+                });
+        },
+
+        /**
+         * Fetch a fresh nonce for an open flyout
+         *
+         * Updates the stored configuration and any matching triggers on the
+         * page so later requests and reopened flyouts use the new nonce.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Flyout element
+         * @param {Object} config  Flyout configuration, updated in place
+         * @return {Promise<string>} Resolves to the new nonce
+         */
+        renewNonce: function ($flyout, config) {
+            return WPFlyout.request({
+                action: 'wp_flyout_' + config.manager + '_refresh_nonce',
+                flyout: config.flyout
+            }, {flyout: $flyout, retries: 1})
+                .then(data => {
+                    config.nonce = data.nonce;
+                    $flyout.data('nonce', data.nonce);
+
+                    this.findTriggers(config.manager, config.flyout)
+                        .attr('data-flyout-nonce', data.nonce)
+                        .data('flyout-nonce', data.nonce);
+
+                    return data.nonce;
+                });
+        },
+
+        /**
+         * Ask the user to log in again without losing their changes
+         *
+         * Shows WordPress' interim login modal when it is loaded on the
+         * page, plus an inline prompt with a login link and a retry button.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Flyout element
+         * @param {Error}  error   Nonce renewal error
+         * @return {void}
+         */
+        showReauthPrompt: function ($flyout, error) {
+            const data = error && error.data;
+            const loginRequired = $.isPlainObject(data) && data.code === 'login_required';
+
+            $flyout.find('.wp-flyout-reauth').remove();
+
+            if (!loginRequired) {
+                this.showAlert($flyout, error && !error.aborted ? error.message : 'Your session has expired.', 'error');
+                return;
+            }
+
+            // Core's wp-auth-check modal, when available
+            if ($('#wp-auth-check-wrap').length) {
+                $(document).trigger('heartbeat-tick', [{'wp-auth-check': false}]);
+            }
+
+            const loginUrl = data.login_url || String(window.ajaxurl || '').replace(/wp-admin\/admin-ajax\.php.*$/, 'wp-login.php');
+
+            this.showAlert($flyout,
+                'Your session has expired. Your changes have not been lost. ' +
+                '<a href="' + this.escapeHtml(loginUrl).replace(/"/g, '&quot;') + '" target="_blank" rel="noopener noreferrer">Log in again</a> ' +
+                'in a new tab, then <button type="button" class="button-link wp-flyout-retry-save">try saving again</button>.',
+                'warning'
+            );
+
+            $flyout.find('.wp-flyout-body .wp-flyout-alert').first().addClass('wp-flyout-reauth');
+            $flyout.find('.wp-flyout-body').animate({scrollTop: 0}, 300);
+        },
+
+        /**
+         * Handle a failed save response
+         *
+         * Accepts either a plain message or an object of the shape
+         * {message: string, errors: {field_name: message}}.
+         *
+         * @since 1.1.0
+         * @param {jQuery}        $flyout Flyout element
+         * @param {string|Object} data    Error response data
+         * @return {void}
+         */
+        handleSaveError: function ($flyout, data) {
+            let message = data || 'An error occurred';
+
+            if ($.isPlainObject(data)) {
+                message = data.message || 'Please correct the errors below.';
+
+                if ($.isPlainObject(data.errors)) {
+                    const unmatched = this.showFieldErrors($flyout, data.errors);
+
+                    // List errors that could not be mapped onto a field
+                    if (unmatched.length) {
+                        message += '<ul>' + unmatched.map(text => '<li>' + this.escapeHtml(text) + '</li>').join('') + '</ul>';
+                    }
+                }
+            }
+
+            $flyout.find('.wp-flyout-body').animate({scrollTop: 0}, 300);
+            this.showAlert($flyout, message, 'error');
+        },
+
+        /**
+         * Show field errors inline
+         *
+         * Switches to the tab holding the first error and focuses that field.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Flyout element
+         * @param {Object} errors  Messages keyed by field name
+         * @return {Array} Messages that could not be mapped onto a field
+         */
+        showFieldErrors: function ($flyout, errors) {
+            const unmatched = [];
+            let $first = null;
+
+            $.each(errors, (name, message) => {
+                message = Array.isArray(message) ? message.join(' ') : String(message);
+
+                const $field = this.findField($flyout, name);
+
+                if (!$field.length) {
+                    unmatched.push(message);
+                    return;
+                }
+
+                this.setFieldError($field, message);
+                $first = $first || $field;
+            });
+
+            if ($first) {
+                this.revealField($flyout, $first);
+            }
+
+            return unmatched;
+        },
+
+        /**
+         * Find a form field by name
+         *
+         * Supports bracket (line_items[0][quantity]) and dot
+         * (line_items.0.quantity) notation, array fields (tags[]) and
+         * widgets identified by a data-name attribute.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Flyout element
+         * @param {string} name    Field name
+         * @return {jQuery} Field element or empty set
+         */
+        findField: function ($flyout, name) {
+            if (name.indexOf('.') !== -1 && name.indexOf('[') === -1) {
+                const parts = name.split('.');
+                name = parts.shift() + parts.map(part => '[' + part + ']').join('');
+            }
+
+            const $body = $flyout.find('.wp-flyout-body');
+
+            let $field = $body.find('[name]').filter(function () {
+                return this.name === name || this.name === name + '[]';
+            });
+
+            if (!$field.length) {
+                $field = $body.find('[data-name]').filter(function () {
+                    return $(this).data('name') === name;
+                });
+            }
+
+            if (!$field.length) {
+                $field = $body.find('[name]').filter(function () {
+                    return this.name.indexOf(name + '[') === 0;
+                });
+            }
+
+            return $field.first();
+        },
+
+        /**
+         * Mark a field as invalid and show its message
+         *
+         * @since 1.1.0
+         * @param {jQuery} $field  Field element
+         * @param {string} message Error message
+         * @return {void}
+         */
+        setFieldError: function ($field, message) {
+            const $owner = this.getErrorOwner($field);
+            const errorId = 'wp-flyout-error-' + Math.random().toString(36).slice(2, 10);
+
+            const $previous = $owner.find('> .wp-flyout-field-error');
+
+            this.updateDescribedBy($field, $previous.map((i, el) => el.id).get(), errorId);
+            $previous.remove();
+            $owner.addClass('has-error');
+
+            $('<p class="wp-flyout-field-error" role="alert"></p>')
+                .attr('id', errorId)
+                .text(message)
+                .appendTo($owner);
+
+            $field
+                .addClass('error')
+                .attr('aria-invalid', 'true');
+        },
+
+        /**
+         * Swap error IDs in the aria-describedby of fields
+         *
+         * Keeps any other descriptions, such as help text, linked.
+         *
+         * @since 1.1.0
+         * @param {jQuery}   $fields Field elements
+         * @param {string[]} remove  IDs to remove
+         * @param {string}   [add]   ID to add
+         * @return {void}
+         */
+        updateDescribedBy: function ($fields, remove, add) {
+            $fields.each(function () {
+                const ids = ($(this).attr('aria-describedby') || '').split(/\s+/)
+                    .filter(id => id && !remove.includes(id) && id !== add);
+
+                if (add) {
+                    ids.push(add);
+                }
+
+                if (ids.length) {
+                    $(this).attr('aria-describedby', ids.join(' '));
+                } else {
+                    $(this).removeAttr('aria-describedby');
+                }
+            });
+        },
+
+        /**
+         * Get the element an inline error is attached to
+         *
+         * @since 1.1.0
+         * @param {jQuery} $field Field element
+         * @return {jQuery} Field wrapper, widget container or parent element
+         */
+        getErrorOwner: function ($field) {
+            const $wrapper = $field.closest('.wp-flyout-field');
+            if ($wrapper.length) return $wrapper;
+
+            // Widget containers hold their own message
+            if (!$field.is(':input')) return $field;
+
+            // Hidden inputs report on the widget they belong to
+            if ($field.is('[type="hidden"]')) {
+                const $widget = $field.closest('[data-name]');
+                if ($widget.length) return $widget;
+            }
+
+            return $field.parent();
+        },
+
+        /**
+         * Clear the inline error inside an element
+         *
+         * @since 1.1.0
+         * @param {jQuery} $owner Element marked with has-error
+         * @return {void}
+         */
+        clearFieldError: function ($owner) {
+            const $errors = $owner.removeClass('has-error').find('> .wp-flyout-field-error');
+            const $fields = $owner.find('[aria-invalid]').addBack('[aria-invalid]');
+
+            this.updateDescribedBy($fields, $errors.map((i, el) => el.id).get());
+            $errors.remove();
+
+            $fields
+                .removeClass('error')
+                .removeAttr('aria-invalid');
+        },
+
+        /**
+         * Clear all inline errors in a flyout
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Flyout element
+         * @return {void}
+         */
+        clearFieldErrors: function ($flyout) {
+            $flyout.find('.has-error').each((i, el) => this.clearFieldError($(el)));
+        },
+
+        /**
+         * Switch to the tab holding a field and focus it
+         *
+         * @since 1.1.0
+         * @param {jQuery} $flyout Flyout element
+         * @param {jQuery} $field  Field element
+         * @return {void}
+         */
+        revealField: function ($flyout, $field) {
+            const $panel = $field.closest('.wp-flyout-tab-content');
+
+            if ($panel.length && !$panel.hasClass('active')) {
+                const tabId = $panel.attr('id').replace(/^tab-/, '');
+                $flyout.find('.wp-flyout-tab').filter(function () {
+                    return String($(this).data('tab')) === tabId;
+                }).trigger('click');
+            }
+
+            // Hidden inputs back widgets; focus something inside the widget instead
+            const $target = $field.is(':visible')
+                ? $field
+                : this.getErrorOwner($field).find(WPFlyout.focusable).filter(':visible').first();
+
+            $target.trigger('focus');
+        },
+
+        /**
+         * Escape HTML for safe output
+         *
+         * @since 1.1.0
+         * @param {string} text Text to escape
+         * @return {string} Escaped HTML
+         */
+        escapeHtml: function (text) {
+            const div = document.createElement('div');
+            div.textContent = text || '';
+            return div.innerHTML;
+        },
+
+        /**
+         * Handle delete action
+         *
+         * Sends delete request and applies the response on success.
+         *
+         * @since 1.0.0
+         * @since 1.1.0 Applies response instructions instead of always reloading
+         * @param {jQuery} $flyout  Flyout element
+         * @param {string} flyoutId Flyout ID
+         * @param {Object} config   Flyout configuration
+         * @return {Promise<Object>} Resolves to the delete response data
+         */
         handleDelete: function ($flyout, flyoutId, config) {
             const $deleteBtn = $flyout.find('.wp-flyout-delete');
             const deleteId = $flyout.find('input[name="id"]').val() || config.data.id;
@@ -279,38 +1490,140 @@
 
             this.setButtonState($deleteBtn, true, 'Deleting...');
 
-            $.post(ajaxurl, {
+            return WPFlyout.request({
+                ...config.data,
                 action: 'wp_flyout_' + config.manager,
                 flyout: config.flyout,
                 flyout_action: 'delete',
                 nonce: config.nonce,
-                id: deleteId,
-                ...config.data
-            })
-                .done(response => {
-                    if (response.success) {
-                        const message = response.data?.message || 'Deleted successfully!';
-                        this.showAlert($flyout, message, 'success');
-                        $body.animate({scrollTop: 0}, 300);
+                id: deleteId
+            }, {flyout: $flyout})
+                .then(data => {
+                    this.invalidateCache(config);
 
-                        // Always close and reload after delay
-                        setTimeout(() => {
-                            WPFlyout.close(flyoutId);
-                            location.reload();
-                        }, 1000);
-                    } else {
-                        this.setButtonState($deleteBtn, false);
-                        this.showAlert($flyout, response.data || 'Failed to delete', 'error');
+                    const message = data?.message || 'Deleted successfully!';
+                    this.showAlert($flyout, message, 'success');
+                    $body.animate({scrollTop: 0}, 300);
+
+                    // Close and apply the response after delay
+                    setTimeout(() => {
+                        WPFlyout.close(flyoutId, true);
+                        this.applyResponse(data, 'wpflyout:deleted', flyoutId, config);
+                    }, 1000);
+
+                    return data;
+                }, error => {
+                    this.setButtonState($deleteBtn, false);
+
+                    if (!error.aborted) {
+                        this.showAlert($flyout, error.message, 'error');
                         $body.animate({scrollTop: 0}, 300);
                     }
-                })
-                .fail(() => {
-                    this.setButtonState($deleteBtn, false);
-                    this.showAlert($flyout, 'Connection error', 'error');
-                    $body.animate({scrollTop: 0}, 300);
+
+                    throw error;
                 });
         },
 
+        /**
+         * Apply save/delete response instructions
+         *
+         * Supported response keys:
+         * - redirect: URL to navigate to
+         * - replace:  Object mapping selectors to replacement HTML
+         * - remove:   Selector or array of selectors to remove
+         * - reload:   Set to false to skip the fallback reload
+         *
+         * Fires a cancelable event after the DOM is updated. When the server
+         * sent no instructions and no listener prevented the event, a stacked
+         * flyout refreshes its parent if it was opened with refreshParent and
+         * keeps it as it is otherwise; a top-level flyout reloads the page.
+         *
+         * @since 1.1.0
+         * @param {Object} data      Response data
+         * @param {string} eventName Event to trigger (wpflyout:saved, wpflyout:deleted)
+         * @param {string} flyoutId  Flyout ID
+         * @param {Object} config    Flyout configuration
+         * @return {void}
+         */
+        applyResponse: function (data, eventName, flyoutId, config) {
+            data = $.isPlainObject(data) ? data : {};
+
+            if (data.redirect) {
+                window.location.href = data.redirect;
+                return;
+            }
+
+            let handled = data.reload === false;
+
+            // Replace elements in place
+            if ($.isPlainObject(data.replace)) {
+                $.each(data.replace, (selector, html) => {
+                    // Parse as markup so plain text is never taken for a selector
+                    const $replacement = $($.parseHTML(String(html)));
+                    $(selector).replaceWith($replacement);
+                    $replacement.addClass('wp-flyout-updated');
+                    setTimeout(() => $replacement.removeClass('wp-flyout-updated'), 1500);
+                });
+                handled = true;
+            }
+
+            // Remove elements
+            if (data.remove) {
+                [].concat(data.remove).forEach(selector => {
+                    $(selector).fadeOut(300, function () {
+                        $(this).remove();
+                    });
+                });
+                handled = true;
+            }
+
+            const event = $.Event(eventName);
+            $(document).trigger(event, {
+                id: flyoutId,
+                config: config,
+                response: data
+            });
+
+            // Fall back to reload when nothing was applied
+            if (!handled && !event.isDefaultPrevented()) {
+                const parentId = WPFlyout.getParentId(flyoutId);
+
+                if (parentId && WPFlyout.active.includes(parentId)) {
+                    if (config.refreshParent) {
+                        this.refreshParent(parentId);
+                    }
+                } else {
+                    // Don't reopen a deep-linked flyout after reloading
+                    if (config.link) {
+                        history.replaceState(null, '', this.buildLinkUrl(config, true));
+                    }
+
+                    location.reload();
+                }
+            }
+        },
+
+        /**
+         * Refresh a parent flyout after a child saved
+         *
+         * A parent with unsaved changes is left alone, so reloading it never
+         * throws away what the user typed.
+         *
+         * @since 1.1.0
+         * @param {string} parentId Parent flyout ID
+         * @return {void}
+         */
+        refreshParent: function (parentId) {
+            const $parent = $('#' + parentId);
+
+            if (WPFlyout.isDirty(parentId)) {
+                this.showAlert($parent, 'This panel has unsaved changes, so it was not refreshed.', 'warning');
+                return;
+            }
+
+            this.refreshFlyout($parent).catch(() => {});
+        },
+
         /**
          * Show alert message
          *
@@ -355,4 +1668,14 @@
     // Initialize
     $(document).ready(() => WPFlyoutManager.init());
 
+    // Public API
+    window.WPFlyout = window.WPFlyout || {};
+    $.extend(window.WPFlyout, {
+        load: options => WPFlyoutManager.load(options),
+        save: flyoutId => WPFlyoutManager.save(flyoutId),
+        delete: flyoutId => WPFlyoutManager.remove(flyoutId),
+        reload: flyoutId => WPFlyoutManager.reload(flyoutId),
+        validate: container => WPFlyoutManager.validateSection($(container))
+    });
+
 })(jQuery);
\ No newline at end of file
@@ -0,0 +1,361 @@
+/**
+ * WP Flyout Request Layer
+ *
+ * Shared promise-based wrapper around admin-ajax used by the manager and
+ * all components. Requests tied to a flyout are aborted when it closes,
+ * idempotent requests are retried after network failures, expired nonces
+ * are detected and every request fires global events on the document:
+ *
+ * - wpflyout:request:start
+ * - wpflyout:request:success
+ * - wpflyout:request:error
+ * - wpflyout:request:complete
+ * - wpflyout:nonce-expired
+ *
+ * @package     ArrayPress\WPFlyout
+ * @version     1.0.0
+ */
+(function ($) {
+    'use strict';
+
+    /**
+     * Request layer
+     *
+     * @namespace WPFlyout.Request
+     * @since 1.1.0
+     */
+    const Request = {
+
+        /**
+         * Default request options
+         *
+         * @type {Object}
+         */
+        defaults: {
+            url: '',
+            method: 'POST',
+            flyout: null,
+            retries: 0,
+            retryDelay: 500,
+            timeout: 0,
+            signal: null
+        },
+
+        /**
+         * In-flight requests keyed by flyout ID
+         *
+         * @type {Object<string, Array<jqXHR>>}
+         */
+        pending: {},
+
+        /**
+         * Error message flyout handlers send when the nonce check fails
+         *
+         * @type {string}
+         */
+        nonceMessage: 'Security check failed',
+
+        /**
+         * Initialize the request layer
+         *
+         * @since 1.1.0
+         * @return {void}
+         */
+        init: function () {
+            $(document).on('wpflyout:closed', (e, data) => this.abort(data.id));
+        },
+
+        /**
+         * Send a request to admin-ajax
+         *
+         * Resolves with the `data` of a successful wp_send_json_success()
+         * response. Rejects with an Error carrying a `code` of 'error',
+         * 'nonce', 'network', 'http' or 'abort', plus `status`, `data` and
+         * `aborted` properties.
+         *
+         * @since 1.1.0
+         * @param {Object} data                 Request data, including the action
+         * @param {Object} [options]            Request options
+         * @param {string} [options.url]        Endpoint, defaults to ajaxurl
+         * @param {string} [options.method]     HTTP method
+         * @param {*}      [options.flyout]     Flyout element, jQuery or ID; aborted when it closes
+         * @param {number} [options.retries]    Retries after network failures, for idempotent requests only
+         * @param {number} [options.retryDelay] Base delay in ms, doubled on each retry
+         * @param {number} [options.timeout]    Timeout in ms, 0 for none
+         * @param {AbortSignal} [options.signal] Aborts the request, e.g. when a newer one replaces it
+         * @return {Promise<*>} Response data
+         */
+        send: function (data, options) {
+            options = $.extend({}, this.defaults, options);
+
+            const context = {
+                action: data && data.action,
+                data: data,
+                options: options,
+                flyoutId: this.getFlyoutId(options.flyout)
+            };
+
+            $(document).trigger('wpflyout:request:start', context);
+
+            return new Promise((resolve, reject) => {
+                const attempt = retriesLeft => {
+                    if (options.signal && options.signal.aborted) {
+                        reject(this.createError('abort'));
+                        return;
+                    }
+
+                    const xhr = $.ajax({
+                        url: options.url || window.ajaxurl || '/wp-admin/admin-ajax.php',
+                        type: options.method,
+                        data: data,
+                        dataType: 'json',
+                        timeout: options.timeout
+                    });
+
+                    this.track(context.flyoutId, xhr);
+
+                    if (options.signal) {
+                        const abort = () => xhr.abort();
+
+                        options.signal.addEventListener('abort', abort);
+                        xhr.always(() => options.signal.removeEventListener('abort', abort));
+                    }
+
+                    xhr.done(response => {
+                        if (response && response.success) {
+                            resolve(response.data);
+                        } else if (response === -1) {
+                            // check_ajax_referer() failure
+                            reject(this.createError('nonce', xhr));
+                        } else {
+                            reject(this.createError('error', xhr, response && response.data));
+                        }
+                    })
+                        .fail((jqXHR, textStatus) => {
+                            const code = this.getFailureCode(jqXHR, textStatus);
+
+                            if (code === 'network' && retriesLeft > 0) {
+                                const delay = options.retryDelay * Math.pow(2, options.retries - retriesLeft);
+
+                                setTimeout(() => {
+                                    // The flyout closed while waiting
+                                    if (context.flyoutId && !WPFlyout.active.includes(context.flyoutId)) {
+                                        reject(this.createError('abort', jqXHR));
+                                        return;
+                                    }
+
+                                    attempt(retriesLeft - 1);
+                                }, delay);
+                                return;
+                            }
+
+                            const json = jqXHR.responseJSON;
+                            const data = json && json.success === false && code !== 'nonce' ? json.data : undefined;
+
+                            reject(this.createError(code, jqXHR, data));
+                        })
+                        .always(() => this.untrack(context.flyoutId, xhr));
+                };
+
+                attempt(options.retries);
+            }).then(result => {
+                $(document).trigger('wpflyout:request:success', $.extend({result: result}, context));
+                $(document).trigger('wpflyout:request:complete', context);
+                return result;
+            }, error => {
+                if (error.code === 'nonce') {
+                    $(document).trigger('wpflyout:nonce-expired', $.extend({error: error}, context));
+                }
+
+                $(document).trigger('wpflyout:request:error', $.extend({error: error}, context));
+                $(document).trigger('wpflyout:request:complete', context);
+                throw error;
+            });
+        },
+
+        /**
+         * Classify a failed request
+         *
+         * @since 1.1.0
+         * @param {jqXHR}  xhr        Request
+         * @param {string} textStatus jQuery status text
+         * @return {string} Error code
+         */
+        getFailureCode: function (xhr, textStatus) {
+            if (textStatus === 'abort') {
+                return 'abort';
+            }
+
+            // Flyout handlers send "Security check failed" for invalid nonces;
+            // a dying check_ajax_referer() sends -1
+            if (this.isNonceFailure(xhr)) {
+                return 'nonce';
+            }
+
+            if (xhr.status === 0 || textStatus === 'timeout') {
+                return 'network';
+            }
+
+            return xhr.responseJSON && xhr.responseJSON.success === false ? 'error' : 'http';
+        },
+
+        /**
+         * Check whether a request failed the nonce check
+         *
+         * Permission errors also use a 403 status, so the message decides.
+         *
+         * @since 1.1.0
+         * @param {jqXHR} xhr Request
+         * @return {boolean} Whether the nonce was rejected
+         */
+        isNonceFailure: function (xhr) {
+            const json = xhr.responseJSON;
+
+            if ($.trim(xhr.responseText) === '-1') {
+                return true;
+            }
+
+            return xhr.status === 403 && (!json || (json.success === false && json.data === this.nonceMessage));
+        },
+
+        /**
+         * Create a request error
+         *
+         * @since 1.1.0
+         * @param {string} code Error code
+         * @param {jqXHR}  xhr  Request
+         * @param {*}      data Error data sent by the server
+         * @return {Error} Error
+         */
+        createError: function (code, xhr, data) {
+            const messages = {
+                nonce: 'Your session has expired. Please reload the page and try again.',
+                network: 'Connection failed. Please check your connection and try again.',
+                http: 'The server returned an unexpected response.',
+                abort: 'The request was cancelled.',
+                error: 'An error occurred'
+            };
+
+            let message = messages[code];
+
+            if (typeof data === 'string' && data) {
+                message = data;
+            } else if (data && typeof data.message === 'string' && data.message) {
+                message = data.message;
+            }
+
+            const error = new Error(message);
+            error.code = code;
+            error.status = xhr ? xhr.status : 0;
+            error.data = data;
+            error.aborted = code === 'abort';
+
+            return error;
+        },
+
+        /**
+         * Show a request error to the user
+         *
+         * Inside a flyout the error is shown as an alert at the top of its
+         * body; elsewhere a browser alert is used. Aborted requests are
+         * ignored.
+         *
+         * @since 1.1.0
+         * @param {Error}              error   Request error
+         * @param {jQuery|HTMLElement} context Element the request was made from
+         * @return {void}
+         */
+        report: function (error, context) {
+            if (!error || error.aborted) {
+                return;
+            }
+
+            const $body = $(context).closest('.wp-flyout').find('.wp-flyout-body');
+
+            if ($body.length && window.WPFlyoutAlert) {
+                const $message = $('<div>').text(error.message);
+
+                WPFlyoutAlert.show($message.html(), 'error', {
+                    target: $body,
+                    prepend: true,
+                    dismissible: true
+                });
+                $body.animate({scrollTop: 0}, 300);
+            } else {
+                alert(error.message);
+            }
+        },
+
+        /**
+         * Abort all in-flight requests of a flyout
+         *
+         * @since 1.1.0
+         * @param {string} flyoutId Flyout ID
+         * @return {void}
+         */
+        abort: function (flyoutId) {
+            (this.pending[flyoutId] || []).slice().forEach(xhr => xhr.abort());
+            delete this.pending[flyoutId];
+        },
+
+        /**
+         * Resolve the flyout ID a request belongs to
+         *
+         * @since 1.1.0
+         * @param {*} flyout Flyout element, jQuery, inner element or ID
+         * @return {string} Flyout ID or empty string
+         */
+        getFlyoutId: function (flyout) {
+            if (!flyout) {
+                return '';
+            }
+
+            if (typeof flyout === 'string') {
+                return flyout;
+            }
+
+            return $(flyout).closest('.wp-flyout').attr('id') || '';
+        },
+
+        /**
+         * Track an in-flight request
+         *
+         * @since 1.1.0
+         * @param {string} flyoutId Flyout ID
+         * @param {jqXHR}  xhr      Request
+         * @return {void}
+         */
+        track: function (flyoutId, xhr) {
+            if (!flyoutId) return;
+
+            (this.pending[flyoutId] = this.pending[flyoutId] || []).push(xhr);
+        },
+
+        /**
+         * Stop tracking a finished request
+         *
+         * @since 1.1.0
+         * @param {string} flyoutId Flyout ID
+         * @param {jqXHR}  xhr      Request
+         * @return {void}
+         */
+        untrack: function (flyoutId, xhr) {
+            if (!this.pending[flyoutId]) return;
+
+            this.pending[flyoutId] = this.pending[flyoutId].filter(item => item !== xhr);
+
+            if (!this.pending[flyoutId].length) {
+                delete this.pending[flyoutId];
+            }
+        }
+    };
+
+    // Initialize
+    $(document).ready(() => Request.init());
+
+    // Export
+    window.WPFlyout = window.WPFlyout || {};
+    window.WPFlyout.Request = Request;
+    window.WPFlyout.request = (data, options) => Request.send(data, options);
+
+})(jQuery);
@@ -0,0 +1,347 @@
+/**
+ * WP Flyout Validation
+ *
+ * Pluggable client-side validation driven by field attributes. Rules come
+ * from native attributes (required, type, min, max, pattern, minlength,
+ * maxlength) and from a data-validate list such as "required|min_items:2".
+ *
+ * @package     ArrayPress\WPFlyout
+ * @version     1.0.0
+ */
+(function ($) {
+    'use strict';
+
+    /**
+     * Validator registry
+     *
+     * @namespace WPFlyout.Validators
+     * @since 1.1.0
+     */
+    const Validators = {
+
+        /**
+         * Registered rule callbacks keyed by name
+         *
+         * @type {Object<string, Function>}
+         */
+        rules: {},
+
+        /**
+         * Default messages keyed by rule name
+         *
+         * @type {Object<string, string>}
+         */
+        messages: {},
+
+        /**
+         * Composite widgets and the selector of the items they hold
+         *
+         * @type {Object<string, string>}
+         */
+        widgets: {
+            '.wp-flyout-tag-input': '.tag-item',
+            '.wp-flyout-image-gallery': '.gallery-item',
+            '.wp-flyout-file-manager': '.file-manager-item',
+            '.wp-flyout-line-items': '.line-item'
+        },
+
+        /**
+         * Register a validation rule
+         *
+         * The callback receives the field value (an array of items for
+         * composite widgets), the rule parameter and the field element. It
+         * returns true when valid, false to use the default message, or a
+         * string to use as the message.
+         *
+         * @since 1.1.0
+         * @param {string}   name    Rule name
+         * @param {Function} fn      Rule callback
+         * @param {string}   message Default message, {param} is replaced
+         * @return {void}
+         */
+        register: function (name, fn, message) {
+            this.rules[name] = fn;
+            this.messages[name] = message || 'Please enter a valid value.';
+        },
+
+        /**
+         * Get the combined selector of all composite widgets
+         *
+         * @since 1.1.0
+         * @return {string} Selector
+         */
+        getWidgetSelector: function () {
+            return Object.keys(this.widgets).join(', ');
+        },
+
+        /**
+         * Collect the rules that apply to a field
+         *
+         * @since 1.1.0
+         * @param {jQuery} $field Field or widget element
+         * @return {Array<{name: string, param: string}>} Rules
+         */
+        getRules: function ($field) {
+            const rules = [];
+            const add = (name, param) => {
+                if (!rules.some(rule => rule.name === name)) {
+                    rules.push({name: name, param: param === undefined ? '' : String(param)});
+                }
+            };
+
+            if ($field.is('[required]')) add('required');
+
+            if ($field.is('input')) {
+                const type = ($field.attr('type') || 'text').toLowerCase();
+
+                if (type === 'email') add('email');
+                if (type === 'url') add('url');
+
+                if (type === 'number') {
+                    if ($field.is('[min]')) add('min', $field.attr('min'));
+                    if ($field.is('[max]')) add('max', $field.attr('max'));
+                }
+            }
+
+            if ($field.is('[pattern]')) add('pattern', $field.attr('pattern'));
+            if ($field.is('[minlength]')) add('minlength', $field.attr('minlength'));
+            if ($field.is('[maxlength]')) add('maxlength', $field.attr('maxlength'));
+
+            // Upload limits already declared by the widgets
+            const maxImages = parseInt($field.attr('data-max-images'), 10);
+            const maxFiles = parseInt($field.attr('data-max-files'), 10);
+            if (maxImages > 0) add('max_items', maxImages);
+            if (maxFiles > 0) add('max_items', maxFiles);
+
+            // Explicit rule list
+            String($field.attr('data-validate') || '').split('|').forEach(item => {
+                item = item.trim();
+                if (!item) return;
+
+                const separator = item.indexOf(':');
+                if (separator === -1) {
+                    add(item);
+                } else {
+                    add(item.slice(0, separator), item.slice(separator + 1));
+                }
+            });
+
+            return rules;
+        },
+
+        /**
+         * Get the value to validate
+         *
+         * @since 1.1.0
+         * @param {jQuery} $field Field or widget element
+         * @return {string|Array} Field value or widget items
+         */
+        getValue: function ($field) {
+            const widget = Object.keys(this.widgets).find(selector => $field.is(selector));
+
+            if (widget) {
+                return $field.find(this.widgets[widget]).get();
+            }
+
+            if ($field.is(':checkbox')) {
+                return $field.is(':checked') ? $field.val() : '';
+            }
+
+            if ($field.is(':radio')) {
+                return $field.closest('form').find('input[type="radio"]').filter(function () {
+                    return this.name === $field.attr('name') && this.checked;
+                }).val() || '';
+            }
+
+            const value = $field.val();
+            return value === null || value === undefined ? '' : value;
+        },
+
+        /**
+         * Check whether a value is empty
+         *
+         * @since 1.1.0
+         * @param {string|Array} value Value
+         * @return {boolean}
+         */
+        isEmpty: function (value) {
+            return Array.isArray(value) ? value.length === 0 : String(value).trim() === '';
+        },
+
+        /**
+         * Check whether a field currently takes part in validation
+         *
+         * Disabled fields and fields inside hidden conditional wrappers are
+         * skipped. Fields on inactive tabs are still validated.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $field Field element
+         * @return {boolean}
+         */
+        isActive: function ($field) {
+            if ($field.prop('disabled')) {
+                return false;
+            }
+
+            return !$field.closest('.has-dependency').filter(function () {
+                return this.style.display === 'none';
+            }).length;
+        },
+
+        /**
+         * Validate a single field
+         *
+         * @since 1.1.0
+         * @param {jQuery} $field Field or widget element
+         * @return {string|null} Error message or null when valid
+         */
+        validateField: function ($field) {
+            if (!this.isActive($field)) {
+                return null;
+            }
+
+            const value = this.getValue($field);
+            const rules = this.getRules($field);
+
+            for (let i = 0; i < rules.length; i++) {
+                const rule = rules[i];
+                const fn = this.rules[rule.name];
+
+                if (typeof fn !== 'function') {
+                    console.warn('WP Flyout: Unknown validation rule:', rule.name);
+                    continue;
+                }
+
+                const result = fn.call(this, value, rule.param, $field);
+
+                if (result !== true && result !== undefined) {
+                    return this.getMessage($field, rule, typeof result === 'string' ? result : '');
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Resolve the message for a failed rule
+         *
+         * Checks data-message-{rule}, then data-validate-message, then the
+         * message returned by the rule, then the registered default.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $field  Field element
+         * @param {Object} rule    Failed rule
+         * @param {string} message Message returned by the rule
+         * @return {string} Message
+         */
+        getMessage: function ($field, rule, message) {
+            message = $field.attr('data-message-' + rule.name) ||
+                $field.attr('data-validate-message') ||
+                message ||
+                (rule.name === 'pattern' && $field.attr('title')) ||
+                this.messages[rule.name] ||
+                'Please enter a valid value.';
+
+            return message.replace(/\{param\}/g, rule.param);
+        },
+
+        /**
+         * Validate all fields in a container
+         *
+         * Radio groups are validated once per name.
+         *
+         * @since 1.1.0
+         * @param {jQuery} $container Form or flyout element
+         * @return {{isValid: boolean, errors: Array<{$field: jQuery, message: string}>}}
+         */
+        validate: function ($container) {
+            const errors = [];
+            const seenRadios = [];
+
+            $container.find(':input, [data-validate], ' + this.getWidgetSelector()).each((i, element) => {
+                const $field = $(element);
+
+                if ($field.is(':radio')) {
+                    if (seenRadios.includes(element.name)) return;
+                    seenRadios.push(element.name);
+                }
+
+                if (!this.getRules($field).length) return;
+
+                const message = this.validateField($field);
+                if (message) {
+                    errors.push({$field: $field, message: message});
+                }
+            });
+
+            return {isValid: errors.length === 0, errors: errors};
+        }
+    };
+
+    // Built-in rules
+
+    Validators.register('required', function (value) {
+        return !this.isEmpty(value);
+    }, 'This field is required.');
+
+    Validators.register('email', function (value) {
+        return this.isEmpty(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+    }, 'Please enter a valid email address.');
+
+    Validators.register('url', function (value) {
+        if (this.isEmpty(value)) return true;
+
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (e) {
+            return false;
+        }
+    }, 'Please enter a valid URL.');
+
+    Validators.register('numeric', function (value) {
+        return this.isEmpty(value) || !isNaN(parseFloat(value)) && isFinite(value);
+    }, 'Please enter a number.');
+
+    Validators.register('min', function (value, param) {
+        return this.isEmpty(value) || parseFloat(value) >= parseFloat(param);
+    }, 'Please enter a value of at least {param}.');
+
+    Validators.register('max', function (value, param) {
+        return this.isEmpty(value) || parseFloat(value) <= parseFloat(param);
+    }, 'Please enter a value no greater than {param}.');
+
+    Validators.register('minlength', function (value, param) {
+        return this.isEmpty(value) || String(value).length >= parseInt(param, 10);
+    }, 'Please enter at least {param} characters.');
+
+    Validators.register('maxlength', function (value, param) {
+        return this.isEmpty(value) || String(value).length <= parseInt(param, 10);
+    }, 'Please enter no more than {param} characters.');
+
+    Validators.register('pattern', function (value, param) {
+        if (this.isEmpty(value)) {
+            return true;
+        }
+
+        // Like browsers, ignore patterns that are not valid regular expressions
+        try {
+            return new RegExp('^(?:' + param + ')$').test(value);
+        } catch (e) {
+            console.warn('WP Flyout: Invalid validation pattern:', param);
+            return true;
+        }
+    }, 'Please match the requested format.');
+
+    Validators.register('min_items', function (value, param) {
+        return [].concat(value).filter(item => item !== '').length >= parseInt(param, 10);
+    }, 'Please add at least {param} items.');
+
+    Validators.register('max_items', function (value, param) {
+        return [].concat(value).filter(item => item !== '').length <= parseInt(param, 10);
+    }, 'Please add no more than {param} items.');
+
+    // Export
+    window.WPFlyout = window.WPFlyout || {};
+    window.WPFlyout.Validators = Validators;
+
+})(jQuery);
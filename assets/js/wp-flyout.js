@@ -18,6 +18,14 @@
         // Track active flyouts
         active: [],
 
+        // Form snapshots keyed by flyout ID, used for dirty checks
+        snapshots: {},
+
+        // Elements that can receive keyboard focus
+        focusable: 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+            'select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable="true"], ' +
+            '[tabindex]:not([tabindex="-1"])',
+
         /**
          * Open a flyout by ID (flyout must already exist in DOM)
          */
@@ -29,6 +37,23 @@
                 return false;
             }
 
+            // Remember where focus came from so it can be returned on close
+            $flyout.data('flyoutReturnFocus', document.activeElement);
+
+            // Remember the parent when stacking on top of another flyout
+            const parentId = this.getLastId();
+            if (parentId && parentId !== id) {
+                $flyout.data('flyoutParent', parentId);
+            }
+
+            // Dialog semantics
+            this.setupDialog($flyout);
+
+            // Hide the page from assistive tech and keyboard on first open
+            if (!this.active.length) {
+                this.setBackgroundInert(true);
+            }
+
             // Show overlay
             this.showOverlay();
 
@@ -45,18 +70,29 @@
                 this.active.push(id);
             }
 
+            // Offset any flyouts underneath
+            this.updateStack();
+
             // Initialize tabs if present
             this.initTabs($flyout);
 
             // Focus management after animation
+            $flyout.data('flyoutOpened', false);
+
             setTimeout(() => {
-                // Focus first visible input
-                $flyout.find('input:visible:enabled, select:visible:enabled, textarea:visible:enabled')
-                    .first()
-                    .focus();
+                // The ID changes once a loading placeholder gets its content
+                const currentId = $flyout.attr('id');
+
+                $flyout.data('flyoutOpened', true);
+                this.focusFlyout(currentId);
+
+                // Placeholders trigger these once their content arrives
+                if ($flyout.hasClass('is-loading')) {
+                    return;
+                }
 
                 // Trigger events
-                $(document).trigger('wpflyout:opened', { id: id, element: $flyout[0] });
+                $(document).trigger('wpflyout:opened', { id: currentId, element: $flyout[0] });
                 $flyout.trigger('flyout:ready');
             }, this.config.focusDelay);
 
@@ -65,12 +101,21 @@
 
         /**
          * Close a flyout
+         *
+         * Flyouts with unsaved changes ask for confirmation first unless
+         * force is set.
          */
-        close: function(id) {
+        close: function(id, force) {
             const $flyout = $('#' + id);
 
             if (!$flyout.length) return false;
 
+            // Guard unsaved changes
+            if (!force && this.isDirty(id)) {
+                this.confirmDiscard(id);
+                return false;
+            }
+
             // Trigger closing event (cancelable)
             const event = $.Event('wpflyout:closing');
             $(document).trigger(event, { id: id, element: $flyout[0] });
@@ -84,6 +129,19 @@
 
             // Remove from active list
             this.active = this.active.filter(activeId => activeId !== id);
+            this.updateStack();
+
+            // Restore the page once the last flyout closes
+            if (this.active.length === 0) {
+                this.setBackgroundInert(false);
+            }
+
+            // Forget form state
+            delete this.snapshots[id];
+            $flyout.removeClass('is-dirty').find('.wp-flyout-confirm-close').remove();
+
+            const parentId = $flyout.data('flyoutParent') || null;
+            const returnFocus = $flyout.data('flyoutReturnFocus');
 
             // Clean up after animation
             setTimeout(() => {
@@ -97,18 +155,109 @@
                     this.hideOverlay();
                 }
 
+                // Hand focus back to the parent flyout or the opening element
+                if (parentId && parentId === this.getLastId()) {
+                    this.focusFlyout(parentId, returnFocus);
+                } else if (this.active.length === 0 && returnFocus && document.body.contains(returnFocus)) {
+                    returnFocus.focus();
+                }
+
                 // Trigger closed event
-                $(document).trigger('wpflyout:closed', { id: id });
+                $(document).trigger('wpflyout:closed', { id: id, parentId: parentId });
             }, this.config.animationDuration);
 
             return true;
         },
 
+        /**
+         * Give an open flyout a new ID, keeping its place in the stack
+         */
+        renameFlyout: function(oldId, newId) {
+            $('#' + oldId).attr('id', newId);
+
+            this.active = this.active.map(activeId => activeId === oldId ? newId : activeId);
+
+            if (oldId in this.snapshots) {
+                this.snapshots[newId] = this.snapshots[oldId];
+                delete this.snapshots[oldId];
+            }
+
+            // Children stacked on top keep pointing at their parent
+            $('.wp-flyout').filter(function() {
+                return $(this).data('flyoutParent') === oldId;
+            }).data('flyoutParent', newId);
+        },
+
         /**
          * Close all flyouts
          */
-        closeAll: function() {
-            [...this.active].forEach(id => this.close(id));
+        closeAll: function(force) {
+            [...this.active].reverse().forEach(id => this.close(id, force));
+        },
+
+        /**
+         * Serialize the current form state of a flyout
+         */
+        getFormState: function(id) {
+            return $('#' + id).find('.wp-flyout-body :input').serialize();
+        },
+
+        /**
+         * Store the current form state as the clean baseline
+         */
+        markClean: function(id) {
+            this.snapshots[id] = this.getFormState(id);
+            $('#' + id).removeClass('is-dirty');
+        },
+
+        /**
+         * Check whether a flyout form differs from its clean baseline
+         */
+        isDirty: function(id) {
+            if (!id || this.snapshots[id] === undefined) {
+                return false;
+            }
+
+            return this.getFormState(id) !== this.snapshots[id];
+        },
+
+        /**
+         * Sync the dirty class with the current form state
+         */
+        updateDirtyState: function(id) {
+            const $flyout = $('#' + id);
+            const dirty = this.isDirty(id);
+
+            if ($flyout.hasClass('is-dirty') !== dirty) {
+                $flyout.toggleClass('is-dirty', dirty);
+                $(document).trigger('wpflyout:dirty', { id: id, dirty: dirty });
+            }
+
+            if (!dirty) {
+                $flyout.find('.wp-flyout-confirm-close').remove();
+            }
+        },
+
+        /**
+         * Ask inside the panel before discarding unsaved changes
+         */
+        confirmDiscard: function(id) {
+            const $flyout = $('#' + id);
+            let $confirm = $flyout.find('.wp-flyout-confirm-close');
+
+            if (!$confirm.length) {
+                $confirm = $(`
+                    <div class="wp-flyout-confirm-close" role="alertdialog" aria-live="assertive">
+                        <p class="wp-flyout-confirm-message">You have unsaved changes. Discard them?</p>
+                        <div class="wp-flyout-confirm-actions">
+                            <button type="button" class="button" data-action="keep-editing">Keep editing</button>
+                            <button type="button" class="button button-primary" data-action="discard-changes">Discard changes</button>
+                        </div>
+                    </div>
+                `).insertAfter($flyout.find('.wp-flyout-header'));
+            }
+
+            $confirm.find('[data-action="keep-editing"]').focus();
         },
 
         /**
@@ -118,6 +267,133 @@
             return this.active[this.active.length - 1] || null;
         },
 
+        /**
+         * Get the parent flyout ID of a stacked flyout
+         */
+        getParentId: function(id) {
+            return $('#' + id).data('flyoutParent') || null;
+        },
+
+        /**
+         * Update stacking order and offsets of active flyouts
+         */
+        updateStack: function() {
+            const topIndex = this.active.length - 1;
+
+            this.active.forEach((activeId, index) => {
+                $('#' + activeId)
+                    .toggleClass('is-stacked', index < topIndex)
+                    .attr('aria-hidden', index < topIndex ? 'true' : null)
+                    .css({
+                        'z-index': 160000 + index,
+                        '--wp-flyout-stack-depth': topIndex - index
+                    });
+            });
+        },
+
+        /**
+         * Move focus into a flyout
+         *
+         * Prefers the given element (e.g. the button that opened a child
+         * flyout), then the first visible input, then the panel itself.
+         */
+        focusFlyout: function(id, preferred) {
+            const $flyout = $('#' + id);
+
+            if (preferred && $.contains($flyout[0], preferred) && $(preferred).is(':visible')) {
+                preferred.focus();
+                return;
+            }
+
+            const $input = $flyout.find('input:visible:enabled, select:visible:enabled, textarea:visible:enabled').first();
+
+            if ($input.length) {
+                $input.focus();
+            } else {
+                $flyout.focus();
+            }
+        },
+
+        /**
+         * Apply dialog role and label a flyout from its header
+         */
+        setupDialog: function($flyout) {
+            const id = $flyout.attr('id');
+            const $title = $flyout.find('.wp-flyout-title').first();
+            const $subtitle = $flyout.find('.wp-flyout-subtitle').first();
+
+            $flyout.attr({
+                'role': 'dialog',
+                'aria-modal': 'true',
+                'tabindex': '-1'
+            });
+
+            if ($title.length) {
+                if (!$title.attr('id')) {
+                    $title.attr('id', id + '-title');
+                }
+                $flyout.attr('aria-labelledby', $title.attr('id'));
+            }
+
+            if ($subtitle.length) {
+                if (!$subtitle.attr('id')) {
+                    $subtitle.attr('id', id + '-subtitle');
+                }
+                $flyout.attr('aria-describedby', $subtitle.attr('id'));
+            } else {
+                $flyout.removeAttr('aria-describedby');
+            }
+        },
+
+        /**
+         * Toggle inert on page content behind the flyouts
+         *
+         * Only elements present when the first flyout opens are made inert,
+         * so dialogs created later (e.g. the media library) stay usable.
+         */
+        setBackgroundInert: function(inert) {
+            if (inert) {
+                $('body').children()
+                    .not('.wp-flyout, .wp-flyout-overlay, script, style, [inert]')
+                    .attr({ 'inert': '', 'data-wp-flyout-inert': '' });
+            } else {
+                $('[data-wp-flyout-inert]').removeAttr('inert data-wp-flyout-inert');
+            }
+        },
+
+        /**
+         * Keep Tab and Shift+Tab inside the top-most flyout
+         */
+        trapFocus: function(e) {
+            const flyout = document.getElementById(this.getLastId());
+            const current = document.activeElement;
+
+            if (!flyout) return;
+
+            // Leave other dialogs (e.g. the media library) alone
+            const inside = current === flyout || $.contains(flyout, current);
+            if (!inside && current !== document.body) return;
+
+            const $focusable = $(flyout).find(this.focusable).filter(':visible');
+
+            if (!$focusable.length) {
+                e.preventDefault();
+                flyout.focus();
+                return;
+            }
+
+            const first = $focusable[0];
+            const last = $focusable[$focusable.length - 1];
+
+            if (e.shiftKey && (!inside || current === first || current === flyout)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (!inside || current === last)) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+
         /**
          * Show overlay
          */
@@ -187,10 +463,40 @@
                 if (lastId) this.close(lastId);
             });
 
-            // Escape key to close
+            // Clicking a stacked flyout closes the one on top
+            $(document).on('click.wpflyout', '.wp-flyout.is-stacked', (e) => {
+                if (e.target === e.currentTarget) {
+                    this.close(this.getLastId());
+                }
+            });
+
+            // Escape key to close, Tab to cycle focus
             $(document).on('keydown.wpflyout', (e) => {
-                if (e.key === 'Escape' && this.active.length) {
+                if (!this.active.length) return;
+
+                if (e.key === 'Escape') {
                     this.close(this.getLastId());
+                } else if (e.key === 'Tab') {
+                    this.trapFocus(e);
+                }
+            });
+
+            // Unsaved changes confirmation
+            $(document).on('click.wpflyout', '.wp-flyout-confirm-close [data-action="discard-changes"]', (e) => {
+                const flyoutId = $(e.currentTarget).closest('.wp-flyout').attr('id');
+                this.close(flyoutId, true);
+            });
+
+            $(document).on('click.wpflyout', '.wp-flyout-confirm-close [data-action="keep-editing"]', (e) => {
+                $(e.currentTarget).closest('.wp-flyout-confirm-close').remove();
+            });
+
+            // Warn before leaving the page with unsaved changes
+            $(window).on('beforeunload.wpflyout', (e) => {
+                if (this.active.some(id => this.isDirty(id))) {
+                    e.preventDefault();
+                    e.originalEvent.returnValue = '';
+                    return '';
                 }
             });
         }
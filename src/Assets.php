@@ -31,7 +31,9 @@ class Assets {
 	 */
 	private static array $core_scripts = [
 		'js/wp-flyout.js',                  // Core flyout functionality
+		'js/core/request.js',               // Shared AJAX request layer
 		'js/core/forms.js',                 // Form utilities
+		'js/core/validation.js',            // Client-side validation rules
 		'js/core/manager.js',               // Manager integration
 		'js/core/alert.js',                 // Alert component
 		'js/core/conditional-fields.js'     // Conditional fields
@@ -79,7 +81,7 @@ class Assets {
 		'ajax-select'    => [
 			'script' => 'js/components/ajax-select.js',
 			'style'  => 'css/components/ajax-select.css',
-			'deps'   => []
+			'deps'   => [ 'jquery-ui-sortable' ]
 		],
 		'tags'           => [
 			'script' => 'js/components/tags.js',
@@ -97,7 +99,7 @@ class Assets {
 			'deps'   => []
 		],
 		'timeline'       => [
-			'script' => '',
+			'script' => 'js/components/timeline.js',
 			'style'  => 'css/components/timeline.css',
 			'deps'   => []
 		],
@@ -132,10 +134,15 @@ class Assets {
 			'deps'   => []
 		],
 		'progress-steps' => [
-			'script' => '',
+			'script' => 'js/components/progress-steps.js',
 			'style'  => 'css/components/progress-steps.css',
 			'deps'   => []
 		],
+		'data-table'     => [
+			'script' => 'js/components/data-table.js',
+			'style'  => 'css/components/data-table.css',
+			'deps'   => [ 'wp-flyout-action-buttons' ]
+		],
 	];
 
 	/**
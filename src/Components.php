@@ -199,7 +199,7 @@ class Components {
 			'data_fields' => 'items',
 			'asset'       => 'notes',
 			'category'    => 'interactive',
-			'description' => 'Notes/comments with add/delete functionality'
+			'description' => 'Notes/comments with add, edit, pin and delete functionality'
 		] );
 
 		self::register( 'files', [
@@ -232,7 +232,7 @@ class Components {
 			'data_fields' => 'items',
 			'asset'       => 'line-items',
 			'category'    => 'interactive',
-			'description' => 'Order line items with quantities and pricing'
+			'description' => 'Order line items with discounts, coupons, tax and a totals breakdown'
 		] );
 
 		self::register( 'image_gallery', [
@@ -321,7 +321,7 @@ class Components {
 		self::register( 'data_table', [
 			'class'       => DataTable::class,
 			'data_fields' => [ 'columns', 'data' ],
-			'asset'       => null,
+			'asset'       => 'data-table',
 			'category'    => 'data',
 			'description' => 'Structured data table display'
 		] );
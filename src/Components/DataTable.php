@@ -2,7 +2,14 @@
 /**
  * DataTable Component - Simplified
  *
- * Renders structured data in a clean table format.
+ * Renders structured data in a clean table format. Tables can opt into
+ * client-side sorting, quick search, pagination and row selection with
+ * bulk actions, handled by data-table.js.
+ *
+ * Tables with a rows_callback load their rows from the server instead, one
+ * page at a time. The callback receives the request ($_POST with page,
+ * per_page, orderby, order, search and the record id) and returns an array
+ * with 'rows' and 'total'.
  *
  * @package     ArrayPress\WPFlyout\Components\Data
  * @copyright   Copyright (c) 2025, ArrayPress Limited
@@ -30,7 +37,31 @@ class DataTable implements Renderable {
     /**
      * Constructor
      *
-     * @param array $config Configuration options
+     * Columns may set 'sortable' (defaults to true on sortable tables) and
+     * 'type' ('text', 'number', 'date' or 'currency') to pick the sort
+     * comparator.
+     *
+     * @param array $config             {
+     *                                  Configuration options.
+     *
+     * @type string $id                 Table ID
+     * @type string $class              Additional CSS classes
+     * @type array  $columns            Column labels or configs keyed by data key
+     * @type array  $data               Rows
+     * @type string $empty_text         Text shown when there are no rows
+     * @type string $empty_value        Text shown for empty cells
+     * @type bool   $sortable           Sort on header click
+     * @type bool   $searchable         Show a quick-search box
+     * @type string $search_placeholder Placeholder of the search box
+     * @type int    $per_page           Rows per page, 0 to show all
+     * @type bool   $selectable         Show row checkboxes
+     * @type string $row_key            Row key holding the value of each checkbox
+     * @type array  $bulk_actions       Buttons acting on the selected rows, using
+     *                                  the ActionButtons button format
+     * @type string $ajax_rows          AJAX action loading rows from the server,
+     *                                  set by Manager from rows_callback
+     * @type string $rows_nonce         Nonce for the rows action
+     *                                  }
      */
     public function __construct( array $config = [] ) {
         $this->config = wp_parse_args( $config, self::get_defaults() );
@@ -38,6 +69,11 @@ class DataTable implements Renderable {
         if ( empty( $this->config['id'] ) ) {
             $this->config['id'] = 'datatable-' . wp_generate_uuid4();
         }
+
+        // Server-side tables always page
+        if ( $this->config['ajax_rows'] && $this->config['per_page'] <= 0 ) {
+            $this->config['per_page'] = 20;
+        }
     }
 
     /**
@@ -47,12 +83,21 @@ class DataTable implements Renderable {
      */
     private static function get_defaults(): array {
         return [
-                'id'          => '',
-                'class'       => '',
-                'columns'     => [],
-                'data'        => [],
-                'empty_text'  => __( 'No data found.', 'wp-flyout' ),
-                'empty_value' => '—'
+                'id'                 => '',
+                'class'              => '',
+                'columns'            => [],
+                'data'               => [],
+                'empty_text'         => __( 'No data found.', 'wp-flyout' ),
+                'empty_value'        => '—',
+                'sortable'           => false,
+                'searchable'         => false,
+                'search_placeholder' => __( 'Search…', 'wp-flyout' ),
+                'per_page'           => 0,
+                'selectable'         => false,
+                'row_key'            => 'id',
+                'bulk_actions'       => [],
+                'ajax_rows'          => '',
+                'rows_nonce'         => ''
         ];
     }
 
@@ -71,14 +116,43 @@ class DataTable implements Renderable {
             $classes[] = $this->config['class'];
         }
 
+        $column_count = count( $this->config['columns'] ) + ( $this->config['selectable'] ? 1 : 0 );
+
         ob_start();
         ?>
         <div class="datatable-wrapper">
+            <?php $this->render_toolbar(); ?>
+
+            <?php if ( $this->config['ajax_rows'] ) : ?>
+                <div class="datatable-loading" hidden>
+                    <span class="spinner is-active"></span>
+                </div>
+            <?php endif; ?>
+
             <table id="<?php echo esc_attr( $this->config['id'] ); ?>"
-                   class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>">
+                   class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>"
+                   data-empty-text="<?php echo esc_attr( $this->config['empty_text'] ); ?>"
+                   data-no-results-text="<?php esc_attr_e( 'No matching rows found.', 'wp-flyout' ); ?>"
+                <?php if ( $this->config['per_page'] > 0 ) : ?>
+                   data-per-page="<?php echo esc_attr( (string) absint( $this->config['per_page'] ) ); ?>"
+                <?php endif; ?>
+                <?php if ( $this->config['selectable'] ) : ?>
+                   data-selectable="true"
+                <?php endif; ?>
+                <?php if ( $this->config['ajax_rows'] ) : ?>
+                   data-ajax="<?php echo esc_attr( $this->config['ajax_rows'] ); ?>"
+                   data-nonce="<?php echo esc_attr( $this->config['rows_nonce'] ); ?>"
+                <?php endif; ?>>
 
                 <thead>
                 <tr>
+                    <?php if ( $this->config['selectable'] ) : ?>
+                        <td class="check-column">
+                            <input type="checkbox"
+                                   class="datatable-select-all"
+                                   aria-label="<?php esc_attr_e( 'Select all rows', 'wp-flyout' ); ?>">
+                        </td>
+                    <?php endif; ?>
                     <?php foreach ( $this->config['columns'] as $key => $column ) : ?>
                         <?php $this->render_header_cell( $key, $column ); ?>
                     <?php endforeach; ?>
@@ -88,15 +162,11 @@ class DataTable implements Renderable {
                 <tbody>
                 <?php if ( ! empty( $this->config['data'] ) ) : ?>
                     <?php foreach ( $this->config['data'] as $row ) : ?>
-                        <tr>
-                            <?php foreach ( $this->config['columns'] as $key => $column ) : ?>
-                                <?php $this->render_body_cell( $key, $column, $row ); ?>
-                            <?php endforeach; ?>
-                        </tr>
+                        <?php $this->render_row( $row ); ?>
                     <?php endforeach; ?>
                 <?php else : ?>
                     <tr>
-                        <td colspan="<?php echo count( $this->config['columns'] ); ?>" class="empty-row">
+                        <td colspan="<?php echo esc_attr( (string) $column_count ); ?>" class="empty-row">
                             <?php echo esc_html( $this->config['empty_text'] ); ?>
                         </td>
                     </tr>
@@ -108,6 +178,138 @@ class DataTable implements Renderable {
         return ob_get_clean();
     }
 
+    /**
+     * Render the search box and the bulk action bar
+     *
+     * @since 1.1.0
+     */
+    private function render_toolbar(): void {
+        $has_bulk = $this->config['selectable'] && ! empty( $this->config['bulk_actions'] );
+
+        if ( ! $this->config['searchable'] && ! $has_bulk ) {
+            return;
+        }
+        ?>
+        <div class="datatable-toolbar">
+            <?php if ( $this->config['searchable'] ) : ?>
+                <input type="search"
+                       class="datatable-search"
+                       placeholder="<?php echo esc_attr( $this->config['search_placeholder'] ); ?>"
+                       aria-controls="<?php echo esc_attr( $this->config['id'] ); ?>"
+                       aria-label="<?php esc_attr_e( 'Search table', 'wp-flyout' ); ?>">
+            <?php endif; ?>
+
+            <?php if ( $has_bulk ) : ?>
+                <div class="datatable-bulk-bar" hidden>
+                    <span class="datatable-selected-count"
+                          aria-live="polite"
+                          data-text="<?php /* translators: %d: number of selected rows */ esc_attr_e( '%d selected', 'wp-flyout' ); ?>"></span>
+                    <?php foreach ( $this->config['bulk_actions'] as $action ) : ?>
+                        <?php $this->render_bulk_button( $action ); ?>
+                    <?php endforeach; ?>
+                    <button type="button" class="button-link datatable-clear-selection">
+                        <?php esc_html_e( 'Clear selection', 'wp-flyout' ); ?>
+                    </button>
+                </div>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render a bulk action button
+     *
+     * Uses the ActionButtons AJAX convention: the request goes to
+     * wp_flyout_action_{action} with a nonce for that action, and the
+     * selected row keys are sent as ids[].
+     *
+     * @since 1.1.0
+     *
+     * @param array $action Button configuration
+     */
+    private function render_bulk_button( array $action ): void {
+        $action = wp_parse_args( $action, [
+                'text'    => '',
+                'action'  => '',
+                'style'   => 'secondary',
+                'icon'    => '',
+                'data'    => [],
+                'confirm' => ''
+        ] );
+
+        if ( empty( $action['text'] ) || empty( $action['action'] ) ) {
+            return;
+        }
+
+        $data_attrs = [
+                'action'  => $action['action'],
+                'nonce'   => wp_create_nonce( 'wp_flyout_action_' . $action['action'] ),
+                'confirm' => $action['confirm']
+        ];
+
+        foreach ( $action['data'] as $key => $value ) {
+            $data_attrs[ $key ] = $value;
+        }
+        ?>
+        <button type="button"
+                class="<?php echo esc_attr( 'button button-' . $action['style'] . ' datatable-bulk-btn' ); ?>"
+            <?php foreach ( $data_attrs as $key => $value ) : ?>
+                data-<?php echo esc_attr( $key ); ?>="<?php echo esc_attr( (string) $value ); ?>"
+            <?php endforeach; ?>>
+            <?php if ( $action['icon'] ) : ?>
+                <span class="dashicons dashicons-<?php echo esc_attr( $action['icon'] ); ?>"></span>
+            <?php endif; ?>
+            <span class="button-text"><?php echo esc_html( $action['text'] ); ?></span>
+        </button>
+        <?php
+    }
+
+    /**
+     * Build the response for a page of server-side rows
+     *
+     * Rows are rendered here so column callbacks apply just as they do to
+     * rows rendered into the flyout.
+     *
+     * @since 1.1.0
+     *
+     * @param array $result Callback result with 'rows' and 'total'
+     *
+     * @return array{html: string, total: int}
+     */
+    public function get_rows_response( array $result ): array {
+        $rows = $result['rows'] ?? [];
+
+        ob_start();
+        foreach ( $rows as $row ) {
+            $this->render_row( (array) $row );
+        }
+
+        return [
+                'html'  => ob_get_clean(),
+                'total' => (int) ( $result['total'] ?? count( $rows ) )
+        ];
+    }
+
+    /**
+     * Render a body row
+     *
+     * @since 1.1.0
+     *
+     * @param array $row Row data
+     */
+    private function render_row( array $row ): void {
+        ?>
+        <tr>
+            <?php if ( $this->config['selectable'] ) : ?>
+                <?php $this->render_check_cell( $row ); ?>
+            <?php endif; ?>
+            <?php foreach ( $this->config['columns'] as $key => $column ) : ?>
+                <?php $this->render_body_cell( (string) $key, $column, $row ); ?>
+            <?php endforeach; ?>
+        </tr>
+        <?php
+    }
+
     /**
      * Render header cell
      *
@@ -115,9 +317,10 @@ class DataTable implements Renderable {
      * @param mixed  $column Column config
      */
     private function render_header_cell( string $key, $column ): void {
-        $label = is_array( $column ) ? ( $column['label'] ?? $key ) : $column;
-        $class = is_array( $column ) ? ( $column['class'] ?? '' ) : '';
-        $width = is_array( $column ) ? ( $column['width'] ?? '' ) : '';
+        $label    = is_array( $column ) ? ( $column['label'] ?? $key ) : $column;
+        $class    = is_array( $column ) ? ( $column['class'] ?? '' ) : '';
+        $width    = is_array( $column ) ? ( $column['width'] ?? '' ) : '';
+        $sortable = $this->config['sortable'] && ( ! is_array( $column ) || ( $column['sortable'] ?? true ) );
 
         $attrs = [];
         if ( $class ) {
@@ -126,9 +329,41 @@ class DataTable implements Renderable {
         if ( $width ) {
             $attrs[] = 'style="width: ' . esc_attr( $width ) . '"';
         }
+        if ( $sortable ) {
+            $type    = is_array( $column ) ? ( $column['type'] ?? 'text' ) : 'text';
+            $attrs[] = 'data-sort-type="' . esc_attr( $type ) . '"';
+            $attrs[] = 'data-column="' . esc_attr( $key ) . '"';
+            $attrs[] = 'aria-sort="none"';
+        }
         ?>
         <th <?php echo implode( ' ', $attrs ); ?>>
-            <?php echo esc_html( $label ); ?>
+            <?php if ( $sortable ) : ?>
+                <button type="button" class="datatable-sort">
+                    <?php echo esc_html( $label ); ?>
+                    <span class="datatable-sort-indicator" aria-hidden="true"></span>
+                </button>
+            <?php else : ?>
+                <?php echo esc_html( $label ); ?>
+            <?php endif; ?>
+        </th>
+        <?php
+    }
+
+    /**
+     * Render the checkbox cell of a row
+     *
+     * @since 1.1.0
+     *
+     * @param array $row Row data
+     */
+    private function render_check_cell( array $row ): void {
+        $value = $row[ $this->config['row_key'] ] ?? '';
+        ?>
+        <th scope="row" class="check-column">
+            <input type="checkbox"
+                   class="datatable-select-row"
+                   value="<?php echo esc_attr( (string) $value ); ?>"
+                   aria-label="<?php esc_attr_e( 'Select row', 'wp-flyout' ); ?>">
         </th>
         <?php
     }
@@ -152,8 +387,14 @@ class DataTable implements Renderable {
         } else {
             $value = esc_html( $value );
         }
+
+        // Raw values let the client sort formatted cells by type
+        $raw = $row[ $key ] ?? '';
         ?>
-        <td <?php echo $class ? 'class="' . esc_attr( $class ) . '"' : ''; ?>>
+        <td <?php echo $class ? 'class="' . esc_attr( $class ) . '"' : ''; ?>
+            <?php if ( $this->config['sortable'] && is_scalar( $raw ) && ! is_bool( $raw ) ) : ?>
+            data-sort-value="<?php echo esc_attr( (string) $raw ); ?>"
+            <?php endif; ?>>
             <?php echo $value; ?>
         </td>
         <?php
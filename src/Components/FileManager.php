@@ -73,6 +73,7 @@ class FileManager implements Renderable {
                 'reorderable' => true,
                 'add_text'    => __( 'Add File', 'wp-flyout' ),
                 'empty_text'  => __( 'No files attached yet', 'wp-flyout' ),
+                'validate'    => '', // Client-side rules, e.g. 'required|min_items:2'
                 'class'       => ''
         ];
     }
@@ -101,6 +102,9 @@ class FileManager implements Renderable {
              class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>"
              data-prefix="<?php echo esc_attr( $this->config['name'] ); ?>"
              data-max-files="<?php echo esc_attr( $this->config['max_files'] ); ?>"
+             <?php if ( $this->config['validate'] ) : ?>
+             data-validate="<?php echo esc_attr( FormField::format_rules( $this->config['validate'] ) ); ?>"
+             <?php endif; ?>
              data-template='<?php echo $this->get_template(); ?>'>
 
             <div class="file-manager-header">
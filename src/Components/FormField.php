@@ -87,20 +87,22 @@ class FormField implements Renderable {
      */
     private function normalize_config( array $config ): array {
         $defaults = [
-                'type'          => 'text',
-                'name'          => '',
-                'id'            => '',
-                'label'         => '',
-                'value'         => '',
-                'description'   => '',
-                'placeholder'   => '',
-                'required'      => false,
-                'disabled'      => false,
-                'readonly'      => false,
-                'class'         => '',
-                'wrapper_class' => '',
-                'data_callback' => null,
-                'condition'     => null,
+                'type'             => 'text',
+                'name'             => '',
+                'id'               => '',
+                'label'            => '',
+                'value'            => '',
+                'description'      => '',
+                'placeholder'      => '',
+                'required'         => false,
+                'disabled'         => false,
+                'readonly'         => false,
+                'class'            => '',
+                'wrapper_class'    => '',
+                'data_callback'    => null,
+                'condition'        => null,
+                'validate'         => '', // Rules, e.g. 'min_items:2' or [ 'min_items' => 2 ]
+                'validate_message' => '', // Message overriding all rule messages
         ];
 
         // Type-specific defaults
@@ -146,9 +148,17 @@ class FormField implements Renderable {
                         'multiple' => false,
                 ],
                 'ajax_select' => [
-                        'ajax'        => '',  // The AJAX action to call
-                        'options'     => [],  // Pre-loaded options if available
-                        'placeholder' => __( 'Type to search...', 'wp-flyout' ),
+                        'ajax'          => '',    // The AJAX action to call, or empty to filter 'options' locally
+                        'options'       => [],    // Pre-loaded options if available
+                        'placeholder'   => __( 'Type to search...', 'wp-flyout' ),
+                        'multiple'      => false, // Select several values, shown as chips
+                        'max'           => 0,     // Maximum number of values in multiple mode (0 = no limit)
+                        'sortable'      => false, // Reorder chips by drag in multiple mode
+                        'create_flyout' => '',    // Flyout of the same manager that creates a missing record
+                        'create_field'  => '',    // Field of that flyout prefilled with the search term
+                        'create_text'   => '',    // "Create" label, %s is the search term
+                        'min_length'    => null,  // Characters before searching; 0 opens results on focus
+                        'depends_on'    => '',    // Field whose value is sent with searches as depends_value; clears this one on change
                 ],
                 'number'      => [
                         'min'  => null,
@@ -333,6 +343,15 @@ class FormField implements Renderable {
                 'placeholder' => $this->config['placeholder'],
         ];
 
+        // Add length and pattern constraints
+        foreach ( [ 'pattern', 'minlength', 'maxlength' ] as $constraint ) {
+            if ( isset( $this->config[ $constraint ] ) ) {
+                $attrs[ $constraint ] = $this->config[ $constraint ];
+            }
+        }
+
+        $attrs = array_merge( $attrs, $this->get_validation_attributes() );
+
         // Add type-specific attributes
         if ( $type === 'number' ) {
             if ( $this->config['min'] !== null ) {
@@ -393,8 +412,16 @@ class FormField implements Renderable {
      *
      */
     private function render_textarea(): string {
+        $extra_attrs = $this->get_validation_attributes();
+
+        foreach ( [ 'minlength', 'maxlength' ] as $constraint ) {
+            if ( isset( $this->config[ $constraint ] ) ) {
+                $extra_attrs[ $constraint ] = $this->config[ $constraint ];
+            }
+        }
+
         return sprintf(
-                '<textarea id="%s" name="%s" class="%s" rows="%d" cols="%d" placeholder="%s" %s %s %s>%s</textarea>',
+                '<textarea id="%s" name="%s" class="%s" rows="%d" cols="%d" placeholder="%s" %s %s %s%s>%s</textarea>',
                 esc_attr( $this->config['id'] ),
                 esc_attr( $this->config['name'] ),
                 esc_attr( $this->config['class'] ),
@@ -404,6 +431,7 @@ class FormField implements Renderable {
                 $this->config['required'] ? 'required' : '',
                 $this->config['disabled'] ? 'disabled' : '',
                 $this->config['readonly'] ? 'readonly' : '',
+                $this->format_attributes( $extra_attrs ),
                 esc_textarea( $this->config['value'] )
         );
     }
@@ -421,6 +449,7 @@ class FormField implements Renderable {
         <select id="<?php echo esc_attr( $this->config['id'] ); ?>"
                 name="<?php echo esc_attr( $this->config['name'] ); ?><?php echo $this->config['multiple'] ? '[]' : ''; ?>"
                 class="<?php echo esc_attr( $this->config['class'] ); ?>"
+                <?php echo $this->format_attributes( $this->get_validation_attributes() ); ?>
                 <?php echo $this->config['required'] ? 'required' : ''; ?>
                 <?php echo $this->config['disabled'] ? 'disabled' : ''; ?>
                 <?php echo $this->config['multiple'] ? 'multiple' : ''; ?>>
@@ -480,21 +509,77 @@ class FormField implements Renderable {
         // Remove nonce generation - Manager provides it
         $ajax_action = $this->config['ajax'] ?? '';
         $nonce       = $this->config['nonce'] ?? '';  // Use provided nonce
+        $multiple    = ! empty( $this->config['multiple'] );
+
+        // Multiple values keep their saved order
+        $values = $multiple ? array_values( array_filter( array_map( 'strval', (array) $this->config['value'] ), 'strlen' ) ) : [];
 
         ob_start();
         ?>
         <select id="<?php echo esc_attr( $this->config['id'] ); ?>"
-                name="<?php echo esc_attr( $this->config['name'] ); ?>"
+                name="<?php echo esc_attr( $this->config['name'] ); ?><?php echo $multiple ? '[]' : ''; ?>"
                 class="<?php echo esc_attr( $this->config['class'] ); ?>"
                 data-ajax="<?php echo esc_attr( $ajax_action ); ?>"
                 data-nonce="<?php echo esc_attr( $nonce ); ?>"
                 data-placeholder="<?php echo esc_attr( $this->config['placeholder'] ); ?>"
+                <?php if ( $this->config['min_length'] !== null ) : ?>
+                    data-min-length="<?php echo esc_attr( (string) absint( $this->config['min_length'] ) ); ?>"
+                <?php endif; ?>
+                <?php if ( $this->config['depends_on'] ) : ?>
+                    data-depends-on="<?php echo esc_attr( $this->config['depends_on'] ); ?>"
+                <?php endif; ?>
+                <?php if ( ! empty( $this->config['ajax_create'] ) || ! empty( $this->config['create_flyout'] ) ) : ?>
+                    data-create-action="<?php echo esc_attr( $this->config['ajax_create'] ?? '' ); ?>"
+                    data-create-flyout="<?php echo esc_attr( $this->config['create_flyout'] ); ?>"
+                    data-create-manager="<?php echo esc_attr( $this->config['create_manager'] ?? '' ); ?>"
+                    data-create-nonce="<?php echo esc_attr( $this->config['create_nonce'] ?? '' ); ?>"
+                    data-create-field="<?php echo esc_attr( $this->config['create_field'] ); ?>"
+                    <?php if ( $this->config['create_text'] ) : ?>
+                        data-create-text="<?php echo esc_attr( $this->config['create_text'] ); ?>"
+                    <?php endif; ?>
+                <?php endif; ?>
+                <?php if ( $multiple ) : ?>
+                    multiple
+                    <?php if ( ! empty( $this->config['max'] ) ) : ?>
+                        data-max="<?php echo esc_attr( (string) absint( $this->config['max'] ) ); ?>"
+                    <?php endif; ?>
+                    <?php if ( ! empty( $this->config['sortable'] ) ) : ?>
+                        data-sortable="true"
+                    <?php endif; ?>
+                <?php endif; ?>
+                <?php echo $this->format_attributes( $this->get_validation_attributes() ); ?>
                 <?php echo $this->config['required'] ? 'required' : ''; ?>
                 <?php echo $this->config['disabled'] ? 'disabled' : ''; ?>>
 
             <?php
+            if ( $multiple ) :
+                $options = is_array( $this->config['options'] ) ? $this->config['options'] : [];
+
+                // Selected values first, in order, then any other options
+                foreach ( $values as $value ) :
+                    ?>
+                    <option value="<?php echo esc_attr( $value ); ?>" selected>
+                        <?php echo esc_html( $options[ $value ] ?? $value ); ?>
+                    </option>
+                <?php
+                endforeach;
+
+                foreach ( $options as $value => $label ) :
+                    if ( in_array( (string) $value, $values, true ) ) {
+                        continue;
+                    }
+                    ?>
+                    <option value="<?php echo esc_attr( $value ); ?>">
+                        <?php echo esc_html( $label ); ?>
+                    </option>
+                <?php
+                endforeach;
             // If we have options provided (value => label pairs), add them
-            if ( ! empty( $this->config['options'] ) && is_array( $this->config['options'] ) ) :
+            elseif ( ! empty( $this->config['options'] ) && is_array( $this->config['options'] ) ) :
+                // Keeps the first option from being selected by default
+                ?>
+                <option value=""></option>
+                <?php
                 foreach ( $this->config['options'] as $value => $label ) :
                     $selected = ( $value == $this->config['value'] ) ? 'selected' : '';
                     ?>
@@ -523,10 +608,15 @@ class FormField implements Renderable {
      */
     private function render_tags(): string {
         $value = is_array( $this->config['value'] ) ? $this->config['value'] : [];
+
+        // Hidden inputs can't carry 'required', so validate the container
+        $validation = $this->get_validation_attributes( $this->config['required'] ? [ 'required' ] : [] );
+
         ob_start();
         ?>
         <div class="wp-flyout-tag-input"
-             data-name="<?php echo esc_attr( $this->config['name'] ); ?>">
+             data-name="<?php echo esc_attr( $this->config['name'] ); ?>"
+             <?php echo $this->format_attributes( $validation ); ?>>
             <div class="tag-input-container">
                 <?php foreach ( $value as $tag ) : ?>
                     <span class="tag-item" data-tag="<?php echo esc_attr( $tag ); ?>">
@@ -554,6 +644,80 @@ class FormField implements Renderable {
         return ob_get_clean();
     }
 
+    /**
+     * Format validation rules as a data-validate value
+     *
+     * Accepts a pipe separated string ('required|min_items:2') or an array
+     * where keys are rule names and values their parameters
+     * ([ 'required', 'min_items' => 2 ]).
+     *
+     * @param string|array $rules Validation rules.
+     *
+     * @return string Pipe separated rule list.
+     * @since 5.1.0
+     */
+    public static function format_rules( $rules ): string {
+        if ( is_string( $rules ) ) {
+            return $rules;
+        }
+
+        if ( ! is_array( $rules ) ) {
+            return '';
+        }
+
+        $parts = [];
+        foreach ( $rules as $rule => $param ) {
+            if ( is_int( $rule ) ) {
+                $parts[] = (string) $param;
+            } elseif ( $param === true ) {
+                $parts[] = $rule;
+            } else {
+                $parts[] = $rule . ':' . $param;
+            }
+        }
+
+        return implode( '|', $parts );
+    }
+
+    /**
+     * Get validation data attributes for the field element
+     *
+     * @param array $extra_rules Rules added on top of the configured ones.
+     *
+     * @return array Attributes keyed by name.
+     * @since 5.1.0
+     */
+    private function get_validation_attributes( array $extra_rules = [] ): array {
+        $rules = array_filter( array_merge(
+                $extra_rules,
+                explode( '|', self::format_rules( $this->config['validate'] ) )
+        ) );
+
+        return array_filter( [
+                'data-validate'         => implode( '|', $rules ),
+                'data-validate-message' => $this->config['validate_message'],
+        ] );
+    }
+
+    /**
+     * Format an attribute array as an HTML attribute string
+     *
+     * @param array $attrs Attributes keyed by name.
+     *
+     * @return string Escaped attribute string.
+     * @since 5.1.0
+     */
+    private function format_attributes( array $attrs ): string {
+        $html = '';
+        foreach ( $attrs as $key => $value ) {
+            if ( $value !== '' && $value !== null ) {
+                $html .= sprintf( ' %s="%s"', esc_attr( $key ), esc_attr( (string) $value ) );
+            }
+        }
+
+        return $html;
+    }
+
     /**
      * Render radio button group
      *
@@ -81,6 +81,7 @@ class ImageGallery implements Renderable {
                 'empty_text' => __( 'No images added yet', 'wp-flyout' ),
                 'empty_icon' => 'format-gallery',
                 'multiple'   => true, // Allow multiple selection in media library
+                'validate'   => '',   // Client-side rules, e.g. 'required|min_items:2'
                 'class'      => ''
         ];
     }
@@ -125,7 +126,10 @@ class ImageGallery implements Renderable {
              data-name="<?php echo esc_attr( $this->config['name'] ); ?>"
              data-max-images="<?php echo esc_attr( (string) $this->config['max_images'] ); ?>"
              data-size="<?php echo esc_attr( $this->config['size'] ); ?>"
-             data-multiple="<?php echo esc_attr( $this->config['multiple'] ? 'true' : 'false' ); ?>">
+             data-multiple="<?php echo esc_attr( $this->config['multiple'] ? 'true' : 'false' ); ?>"
+             <?php if ( $this->config['validate'] ) : ?>
+             data-validate="<?php echo esc_attr( FormField::format_rules( $this->config['validate'] ) ); ?>"
+             <?php endif; ?>>
 
             <div class="gallery-header">
                 <div class="gallery-title">
@@ -3,7 +3,17 @@
  * Line Items Component
  *
  * Manages line items with AJAX product selection, quantities, and pricing.
- * Used for creating orders/invoices with optional editable prices and quantities.
+ * Used for creating orders/invoices with optional editable prices and quantities,
+ * per-line discounts, an order-level coupon and tax rates per line or per order.
+ *
+ * Totals are calculated in integer cents. Each line's discount, coupon share
+ * and tax are rounded to whole cents on their own, using the configured
+ * rounding mode, before being summed:
+ * - half_up   Halves round up (default), e.g. 10.5 → 11
+ * - half_even Halves round to the nearest even cent (banker's rounding), e.g. 10.5 → 10
+ *
+ * The same calculation runs in line-items.js, so the totals shown while
+ * editing match LineItems::calculate() on the server.
  *
  * @package     ArrayPress\WPFlyout\Components\Interactive
  * @copyright   Copyright (c) 2025, ArrayPress Limited
@@ -21,6 +31,20 @@ use ArrayPress\WPFlyout\Traits\HtmlAttributes;
 class LineItems implements Renderable {
     use HtmlAttributes;
 
+    /**
+     * Supported rounding modes for fractional cents
+     *
+     * @var string[]
+     */
+    const ROUNDING_MODES = [ 'half_up', 'half_even' ];
+
+    /**
+     * Percentages are scaled to integers with this factor (4 decimals)
+     *
+     * @var int
+     */
+    const RATE_SCALE = 10000;
+
     /**
      * Component configuration
      *
@@ -50,6 +74,12 @@ class LineItems implements Renderable {
         if ( ! $this->config['show_quantity'] ) {
             $this->config['editable_quantity'] = false;
         }
+
+        if ( ! in_array( $this->config['rounding'], self::ROUNDING_MODES, true ) ) {
+            $this->config['rounding'] = 'half_up';
+        }
+
+        $this->config['coupon'] = self::normalize_coupon( $this->config['coupon'] );
     }
 
     /**
@@ -66,30 +96,209 @@ class LineItems implements Renderable {
                 'editable_price'    => false,
                 'editable_quantity' => false,
                 'show_quantity'     => true,
+                'discounts'         => false, // Per-line discount inputs, percent or fixed
+                'tax_rate'          => 0,     // Order tax rate in percent, e.g. 8.25
+                'line_tax'          => false, // Per-line tax rate inputs, empty uses tax_rate
+                'tax_label'         => __( 'Tax', 'wp-flyout' ),
+                'coupon'            => null,  // Applied coupon: code, type, amount, label
+                'rounding'          => 'half_up', // 'half_up' or 'half_even'
                 'ajax_search'       => '',  // This gets set by Manager from search_callback
                 'ajax_details'      => '',  // This gets set by Manager from details_callback
+                'ajax_coupon'       => '',  // This gets set by Manager from coupon_callback
                 'nonce'             => '',  // Add this - Manager provides it
+                'coupon_nonce'      => '',
                 'placeholder'       => __( 'Search for products...', 'wp-flyout' ),
                 'empty_text'        => __( 'No items added yet.', 'wp-flyout' ),
                 'add_text'          => __( 'Add Item', 'wp-flyout' ),
+                'coupon_text'       => __( 'Coupon code', 'wp-flyout' ),
+                'validate'          => '', // Client-side rules, e.g. 'required'
                 'class'             => ''
         ];
     }
 
     /**
-     * Calculate total
+     * Calculate the totals breakdown of the configured items
+     *
+     * @return array Breakdown, see calculate()
+     */
+    private function get_breakdown(): array {
+        $items = array_map( function ( $item ) {
+            if ( ! $this->config['discounts'] ) {
+                unset( $item['discount'], $item['discount_type'] );
+            }
+
+            if ( ! $this->config['line_tax'] ) {
+                unset( $item['tax_rate'] );
+            }
+
+            return $item;
+        }, $this->config['items'] );
+
+        return self::calculate( $items, [
+                'tax_rate' => $this->config['tax_rate'],
+                'coupon'   => $this->config['coupon'],
+                'rounding' => $this->config['rounding']
+        ] );
+    }
+
+    /**
+     * Calculate a totals breakdown in integer cents
+     *
+     * Per line, a percent discount is taken off price × quantity and a fixed
+     * discount (in cents, for the whole line) is capped at it. The coupon is
+     * taken off what is left and spread over the lines in proportion to
+     * their amount, the last line taking the remainder, so tax is charged on
+     * the discounted amount. A line's tax_rate overrides the order rate.
+     * Save callbacks can use this to recalculate submitted items.
+     *
+     * @param array $items   Items with price (cents), quantity and optionally
+     *                       discount, discount_type ('percent' or 'fixed') and tax_rate
+     * @param array $options {
+     *     @type float      $tax_rate Order tax rate in percent
+     *     @type array|null $coupon   Coupon with type and amount
+     *     @type string     $rounding 'half_up' or 'half_even'
+     * }
+     *
+     * @return array Breakdown with subtotal, line_discount, coupon_discount,
+     *               discount, tax and total, plus the amounts of each line
+     * @since 1.1.0
+     */
+    public static function calculate( array $items, array $options = [] ): array {
+        $rounding = $options['rounding'] ?? 'half_up';
+        $coupon   = self::normalize_coupon( $options['coupon'] ?? null );
+        $lines    = [];
+
+        foreach ( array_values( $items ) as $item ) {
+            $subtotal = max( 0, (int) ( $item['price'] ?? 0 ) ) * max( 1, (int) ( $item['quantity'] ?? 1 ) );
+            $amount   = (float) ( $item['discount'] ?? 0 );
+
+            if ( ( $item['discount_type'] ?? 'percent' ) === 'fixed' ) {
+                $discount = min( $subtotal, max( 0, (int) $amount ) );
+            } else {
+                $discount = self::percent_of( $subtotal, min( 100, $amount ), $rounding );
+            }
+
+            $tax_rate = $item['tax_rate'] ?? '';
+
+            $lines[] = [
+                    'subtotal' => $subtotal,
+                    'discount' => $discount,
+                    'coupon'   => 0,
+                    'tax_rate' => $tax_rate === '' || $tax_rate === null ? (float) ( $options['tax_rate'] ?? 0 ) : (float) $tax_rate,
+                    'tax'      => 0,
+                    'total'    => 0
+            ];
+        }
+
+        // Spread the coupon over the lines by their discounted amount
+        $net = array_sum( array_column( $lines, 'subtotal' ) ) - array_sum( array_column( $lines, 'discount' ) );
+
+        if ( $coupon && $net > 0 ) {
+            $remaining = $coupon['type'] === 'fixed'
+                    ? min( $net, $coupon['amount'] )
+                    : self::percent_of( $net, $coupon['amount'], $rounding );
+            $left      = $net;
+
+            foreach ( $lines as &$line ) {
+                $amount = $line['subtotal'] - $line['discount'];
+                $share  = $amount === $left ? $remaining : self::round_div( $remaining * $amount, $left, $rounding );
+
+                $line['coupon'] = min( $amount, $share );
+                $remaining      -= $line['coupon'];
+                $left           -= $amount;
+            }
+            unset( $line );
+        }
+
+        foreach ( $lines as &$line ) {
+            $taxable       = $line['subtotal'] - $line['discount'] - $line['coupon'];
+            $line['tax']   = self::percent_of( $taxable, $line['tax_rate'], $rounding );
+            $line['total'] = $taxable + $line['tax'];
+        }
+        unset( $line );
+
+        $subtotal        = array_sum( array_column( $lines, 'subtotal' ) );
+        $line_discount   = array_sum( array_column( $lines, 'discount' ) );
+        $coupon_discount = array_sum( array_column( $lines, 'coupon' ) );
+        $tax             = array_sum( array_column( $lines, 'tax' ) );
+
+        return [
+                'subtotal'        => $subtotal,
+                'line_discount'   => $line_discount,
+                'coupon_discount' => $coupon_discount,
+                'discount'        => $line_discount + $coupon_discount,
+                'tax'             => $tax,
+                'total'           => $subtotal - $line_discount - $coupon_discount + $tax,
+                'lines'           => $lines
+        ];
+    }
+
+    /**
+     * Normalize a coupon returned by the coupon callback
+     *
+     * @param mixed $coupon Coupon array with code, type ('percent' or 'fixed'),
+     *                      amount (percent, or cents when fixed) and an optional label
+     *
+     * @return array|null Normalized coupon, or null when it has no code
+     * @since 1.1.0
+     */
+    public static function normalize_coupon( $coupon ): ?array {
+        if ( ! is_array( $coupon ) || empty( $coupon['code'] ) ) {
+            return null;
+        }
+
+        $type = ( $coupon['type'] ?? 'percent' ) === 'fixed' ? 'fixed' : 'percent';
+
+        return [
+                'code'   => sanitize_text_field( (string) $coupon['code'] ),
+                'type'   => $type,
+                'amount' => $type === 'fixed'
+                        ? absint( $coupon['amount'] ?? 0 )
+                        : min( 100.0, max( 0.0, round( (float) ( $coupon['amount'] ?? 0 ), 4 ) ) ),
+                'label'  => sanitize_text_field( (string) ( $coupon['label'] ?? '' ) )
+        ];
+    }
+
+    /**
+     * Take a percentage of an amount, rounded to whole cents
      *
-     * @return int Total in cents
+     * Rates are scaled to integers first so no float rounding errors
+     * decide which way a half cent goes.
+     *
+     * @param int    $amount   Amount in cents
+     * @param float  $rate     Rate in percent
+     * @param string $rounding Rounding mode
+     *
+     * @return int Cents
+     */
+    private static function percent_of( int $amount, $rate, string $rounding ): int {
+        $scaled = (int) round( max( 0, (float) $rate ) * self::RATE_SCALE );
+
+        return self::round_div( $amount * $scaled, 100 * self::RATE_SCALE, $rounding );
+    }
+
+    /**
+     * Divide two non-negative integers, rounding halves by the given mode
+     *
+     * @param int    $numerator   Numerator
+     * @param int    $denominator Denominator
+     * @param string $rounding    'half_up' or 'half_even'
+     *
+     * @return int Quotient
      */
-    private function calculate_total(): int {
-        $total = 0;
-        foreach ( $this->config['items'] as $item ) {
-            $price    = (int) ( $item['price'] ?? 0 );
-            $quantity = (int) ( $item['quantity'] ?? 1 );
-            $total    += $price * $quantity;
+    private static function round_div( int $numerator, int $denominator, string $rounding ): int {
+        if ( $numerator <= 0 || $denominator <= 0 ) {
+            return 0;
+        }
+
+        $quotient = intdiv( $numerator, $denominator );
+        $double   = ( $numerator - $quotient * $denominator ) * 2;
+
+        if ( $double > $denominator || ( $double === $denominator && ( $rounding !== 'half_even' || $quotient % 2 === 1 ) ) ) {
+            $quotient++;
         }
 
-        return $total;
+        return $quotient;
     }
 
     /**
@@ -109,7 +318,12 @@ class LineItems implements Renderable {
                 'editable-price'    => $this->config['editable_price'] ? '1' : '0',
                 'editable-quantity' => $this->config['editable_quantity'] ? '1' : '0',
                 'show-quantity'     => $this->config['show_quantity'] ? '1' : '0',
-                'details-action'    => $this->config['ajax_details']
+                'details-action'    => $this->config['ajax_details'],
+                'discounts'         => $this->config['discounts'] ? '1' : '0',
+                'line-tax'          => $this->config['line_tax'] ? '1' : '0',
+                'tax-rate'          => (string) (float) $this->config['tax_rate'],
+                'rounding'          => $this->config['rounding'],
+                'validate'          => FormField::format_rules( $this->config['validate'] )
         ];
 
         ob_start();
@@ -126,6 +340,10 @@ class LineItems implements Renderable {
                 <?php $this->render_items_table(); ?>
             </div>
 
+            <?php if ( $this->config['ajax_coupon'] ) : ?>
+                <?php $this->render_coupon(); ?>
+            <?php endif; ?>
+
             <?php $this->render_total(); ?>
             <?php $this->render_item_template(); ?>
         </div>
@@ -168,6 +386,8 @@ class LineItems implements Renderable {
             <?php
             return;
         }
+
+        $breakdown = $this->get_breakdown();
         ?>
         <table>
             <thead>
@@ -177,15 +397,21 @@ class LineItems implements Renderable {
                     <th class="column-quantity"><?php esc_html_e( 'Qty', 'wp-flyout' ); ?></th>
                 <?php endif; ?>
                 <th class="column-price"><?php esc_html_e( 'Price', 'wp-flyout' ); ?></th>
-                <?php if ( $this->config['show_quantity'] ) : ?>
+                <?php if ( $this->config['discounts'] ) : ?>
+                    <th class="column-discount"><?php esc_html_e( 'Discount', 'wp-flyout' ); ?></th>
+                <?php endif; ?>
+                <?php if ( $this->config['line_tax'] ) : ?>
+                    <th class="column-tax"><?php echo esc_html( $this->config['tax_label'] ); ?></th>
+                <?php endif; ?>
+                <?php if ( $this->config['show_quantity'] || $this->config['discounts'] ) : ?>
                     <th class="column-total"><?php esc_html_e( 'Total', 'wp-flyout' ); ?></th>
                 <?php endif; ?>
                 <th class="column-actions"></th>
             </tr>
             </thead>
             <tbody class="line-items-list">
-            <?php foreach ( $this->config['items'] as $index => $item ) : ?>
-                <?php $this->render_item_row( $item, $index ); ?>
+            <?php foreach ( array_values( $this->config['items'] ) as $index => $item ) : ?>
+                <?php $this->render_item_row( $item, $index, $breakdown['lines'][ $index ] ); ?>
             <?php endforeach; ?>
             </tbody>
         </table>
@@ -198,10 +424,10 @@ class LineItems implements Renderable {
      * @param array $item  Item data
      * @param int   $index Item index
      */
-    private function render_item_row( array $item, int $index ): void {
+    private function render_item_row( array $item, int $index, array $line ): void {
         $price    = (int) ( $item['price'] ?? 0 );
         $quantity = (int) ( $item['quantity'] ?? 1 );
-        $total    = $price * $quantity;
+        $total    = $line['subtotal'] - $line['discount'];
         ?>
         <tr class="line-item" data-index="<?php echo $index; ?>"
             data-item-id="<?php echo esc_attr( $item['id'] ?? '' ); ?>">
@@ -268,7 +494,19 @@ class LineItems implements Renderable {
                 <?php endif; ?>
             </td>
 
-            <?php if ( $this->config['show_quantity'] ) : ?>
+            <?php if ( $this->config['discounts'] ) : ?>
+                <td class="column-discount">
+                    <?php $this->render_discount_inputs( (string) $index, $item ); ?>
+                </td>
+            <?php endif; ?>
+
+            <?php if ( $this->config['line_tax'] ) : ?>
+                <td class="column-tax">
+                    <?php $this->render_tax_input( (string) $index, $item['tax_rate'] ?? '' ); ?>
+                </td>
+            <?php endif; ?>
+
+            <?php if ( $this->config['show_quantity'] || $this->config['discounts'] ) : ?>
                 <td class="column-total">
                     <span class="item-total"><?php echo esc_html( number_format( $total / 100, 2, '.', '' ) ); ?></span>
                 </td>
@@ -284,15 +522,159 @@ class LineItems implements Renderable {
     }
 
     /**
-     * Render total section
+     * Render discount amount and type inputs of a row
+     *
+     * Percent discounts are entered as a percentage, fixed ones as a
+     * decimal amount for the whole line, like editable prices.
+     *
+     * @param string $index Item index, or the template placeholder
+     * @param array  $item  Item data
+     */
+    private function render_discount_inputs( string $index, array $item = [] ): void {
+        $name   = $this->config['name'] . '[' . $index . ']';
+        $type   = ( $item['discount_type'] ?? 'percent' ) === 'fixed' ? 'fixed' : 'percent';
+        $amount = (float) ( $item['discount'] ?? 0 );
+        $cents  = $type === 'fixed' ? (int) $amount : 0;
+        $value  = $type === 'fixed' ? number_format( $cents / 100, 2, '.', '' ) : (string) round( $amount, 4 );
+        ?>
+        <div class="discount-field">
+            <input type="text"
+                   name="<?php echo esc_attr( $name ); ?>[discount]"
+                   value="<?php echo esc_attr( $amount ? $value : '' ); ?>"
+                   placeholder="0"
+                   class="discount-input small-text"
+                   data-cents="<?php echo esc_attr( (string) $cents ); ?>"
+                   data-action="update-discount"
+                   aria-label="<?php esc_attr_e( 'Discount', 'wp-flyout' ); ?>">
+            <select name="<?php echo esc_attr( $name ); ?>[discount_type]"
+                    class="discount-type"
+                    data-action="update-discount"
+                    aria-label="<?php esc_attr_e( 'Discount type', 'wp-flyout' ); ?>">
+                <option value="percent" <?php selected( $type, 'percent' ); ?>>%</option>
+                <option value="fixed" <?php selected( $type, 'fixed' ); ?>><?php echo esc_html( $this->config['currency'] ); ?></option>
+            </select>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the tax rate input of a row
+     *
+     * Left empty, the row uses the order tax rate.
+     *
+     * @param string $index Item index, or the template placeholder
+     * @param mixed  $rate  Tax rate in percent
+     */
+    private function render_tax_input( string $index, $rate ): void {
+        ?>
+        <div class="tax-field">
+            <input type="text"
+                   name="<?php echo esc_attr( $this->config['name'] . '[' . $index . ']' ); ?>[tax_rate]"
+                   value="<?php echo esc_attr( is_numeric( $rate ) ? (string) round( (float) $rate, 4 ) : (string) $rate ); ?>"
+                   placeholder="<?php echo esc_attr( (string) (float) $this->config['tax_rate'] ); ?>"
+                   class="tax-rate-input small-text"
+                   data-action="update-tax"
+                   aria-label="<?php echo esc_attr( $this->config['tax_label'] ); ?>">
+            <span class="tax-rate-suffix">%</span>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render coupon field
+     *
+     * Only the code is submitted, as {name}_coupon; save callbacks should
+     * validate it again before applying it.
+     */
+    private function render_coupon(): void {
+        $coupon = $this->config['coupon'];
+        ?>
+        <div class="line-items-coupon"
+             data-action-name="<?php echo esc_attr( $this->config['ajax_coupon'] ); ?>"
+             data-nonce="<?php echo esc_attr( $this->config['coupon_nonce'] ); ?>"<?php echo $coupon ? ' data-coupon="' . esc_attr( wp_json_encode( $coupon ) ) . '"' : ''; ?>>
+            <div class="coupon-form"<?php echo $coupon ? ' hidden' : ''; ?>>
+                <input type="text"
+                       class="coupon-input regular-text"
+                       placeholder="<?php echo esc_attr( $this->config['coupon_text'] ); ?>"
+                       aria-label="<?php echo esc_attr( $this->config['coupon_text'] ); ?>">
+                <button type="button" class="button" data-action="apply-coupon">
+                    <?php esc_html_e( 'Apply', 'wp-flyout' ); ?>
+                </button>
+            </div>
+            <div class="coupon-applied"<?php echo $coupon ? '' : ' hidden'; ?>>
+                <span class="dashicons dashicons-tickets-alt"></span>
+                <span class="coupon-code"><?php echo esc_html( $coupon['code'] ?? '' ); ?></span>
+                <span class="coupon-label"><?php echo esc_html( $coupon ? $this->get_coupon_label( $coupon ) : '' ); ?></span>
+                <button type="button" class="button-link" data-action="remove-coupon"
+                        aria-label="<?php esc_attr_e( 'Remove coupon', 'wp-flyout' ); ?>">
+                    <span class="dashicons dashicons-no-alt"></span>
+                </button>
+            </div>
+            <p class="coupon-message" role="alert" hidden></p>
+            <input type="hidden"
+                   name="<?php echo esc_attr( $this->config['name'] ); ?>_coupon"
+                   class="coupon-value"
+                   value="<?php echo esc_attr( $coupon['code'] ?? '' ); ?>">
+        </div>
+        <?php
+    }
+
+    /**
+     * Get the description shown next to an applied coupon
+     *
+     * @param array $coupon Normalized coupon
+     *
+     * @return string Label
+     */
+    private function get_coupon_label( array $coupon ): string {
+        if ( $coupon['label'] !== '' ) {
+            return $coupon['label'];
+        }
+
+        $amount = $coupon['type'] === 'fixed'
+                ? format_currency( $coupon['amount'], $this->config['currency'] )
+                : round( $coupon['amount'], 4 ) . '%';
+
+        /* translators: %s: coupon amount, e.g. "10%" or "$5.00" */
+        return sprintf( __( '%s off', 'wp-flyout' ), $amount );
+    }
+
+    /**
+     * Render totals breakdown
+     *
+     * Discount and tax rows stay hidden while they are zero, and the
+     * subtotal row while there is nothing between it and the total.
      */
     private function render_total(): void {
-        $total = $this->calculate_total();
+        $breakdown = $this->get_breakdown();
+        $currency  = $this->config['currency'];
+        $tax_rate  = (float) $this->config['tax_rate'];
+        $rows      = [
+                'subtotal' => __( 'Subtotal', 'wp-flyout' ),
+                'discount' => __( 'Discount', 'wp-flyout' ),
+                'tax'      => $this->config['line_tax'] || ! $tax_rate
+                        ? $this->config['tax_label']
+                        : sprintf( '%s (%s%%)', $this->config['tax_label'], $tax_rate )
+        ];
+
+        $has_adjustments = $breakdown['discount'] > 0 || $breakdown['tax'] > 0;
         ?>
+        <div class="line-items-breakdown"<?php echo $has_adjustments ? '' : ' hidden'; ?>>
+            <?php foreach ( $rows as $key => $label ) :
+                $hidden = $key !== 'subtotal' && ! $breakdown[ $key ];
+                ?>
+                <div class="breakdown-row breakdown-<?php echo esc_attr( $key ); ?>"<?php echo $hidden ? ' hidden' : ''; ?>>
+                    <span class="breakdown-label"><?php echo esc_html( $label ); ?></span>
+                    <span class="breakdown-amount" data-value="<?php echo esc_attr( (string) $breakdown[ $key ] ); ?>">
+                        <?php echo esc_html( ( $key === 'discount' ? '-' : '' ) . format_currency( $breakdown[ $key ], $currency ) ); ?>
+                    </span>
+                </div>
+            <?php endforeach; ?>
+        </div>
         <div class="line-items-total">
             <span class="total-label"><?php esc_html_e( 'Total:', 'wp-flyout' ); ?></span>
-            <span class="total-amount" data-value="<?php echo esc_attr( (string) $total ); ?>">
-                <?php echo esc_html( format_currency( $total, $this->config['currency'] ) ); ?>
+            <span class="total-amount" data-value="<?php echo esc_attr( (string) $breakdown['total'] ); ?>">
+                <?php echo esc_html( format_currency( $breakdown['total'], $currency ) ); ?>
             </span>
         </div>
         <?php
@@ -354,7 +736,19 @@ class LineItems implements Renderable {
                     <?php endif; ?>
                 </td>
 
-                <?php if ( $this->config['show_quantity'] ) : ?>
+                <?php if ( $this->config['discounts'] ) : ?>
+                    <td class="column-discount">
+                        <?php $this->render_discount_inputs( '{{index}}' ); ?>
+                    </td>
+                <?php endif; ?>
+
+                <?php if ( $this->config['line_tax'] ) : ?>
+                    <td class="column-tax">
+                        <?php $this->render_tax_input( '{{index}}', '{{tax_rate}}' ); ?>
+                    </td>
+                <?php endif; ?>
+
+                <?php if ( $this->config['show_quantity'] || $this->config['discounts'] ) : ?>
                     <td class="column-total">
                         <span class="item-total">{{total_formatted}}</span>
                     </td>
@@ -2,7 +2,19 @@
 /**
  * Notes Component - Simplified
  *
- * Displays notes with optional add/delete functionality via AJAX.
+ * Displays notes with optional add, edit, pin and delete functionality via
+ * AJAX. Note content supports a small markdown subset: **bold**, `code`,
+ * [links](https://example.com) and lists.
+ *
+ * Older notes can be loaded on demand through a load_more_callback, which
+ * receives the request ($_POST with offset, object_type and the record id)
+ * and returns an array with 'items' and 'has_more'.
+ *
+ * Typing "@" in the add form suggests users from a mentions_callback, which
+ * follows the ajax_select search contract: it receives 'search' and returns
+ * an array of value => label pairs. The add and edit requests then carry the
+ * mentioned user IDs as 'mentions', and notes may return a 'mentions' list
+ * of [ 'id' => ..., 'name' => ... ] so mentions render as chips.
  *
  * @package     ArrayPress\WPFlyout\Components\Interactive
  * @version     5.0.0
@@ -23,9 +35,36 @@ class Notes implements Renderable {
      */
     private array $config;
 
+    /**
+     * Tags allowed in rendered note content
+     *
+     * @since 1.1.0
+     * @var array
+     */
+    private const ALLOWED_HTML = [
+            'strong' => [],
+            'code'   => [],
+            'span'   => [
+                    'class'        => true,
+                    'data-user-id' => true
+            ],
+            'br'     => [],
+            'ul'     => [],
+            'ol'     => [],
+            'li'     => [],
+            'a'      => [
+                    'href'   => true,
+                    'target' => true,
+                    'rel'    => true
+            ]
+    ];
+
     /**
      * Constructor
      *
+     * Notes may set 'pinned', 'can_edit', 'can_delete' and 'edited' (true
+     * or the formatted edit date).
+     *
      * @param array $config Configuration options
      */
     public function __construct( array $config = [] ) {
@@ -49,18 +88,28 @@ class Notes implements Renderable {
      */
     private static function get_defaults(): array {
         return [
-                'id'           => '',
-                'name'         => 'notes',
-                'items'        => [],
-                'editable'     => true,
-                'placeholder'  => __( 'Add a note... (Shift+Enter to submit)', 'arraypress' ),
-                'empty_text'   => __( 'No notes yet.', 'arraypress' ),
-                'object_type'  => '',
-                'ajax_add'     => '',
-                'ajax_delete'  => '',
-                'add_nonce'    => '',
-                'delete_nonce' => '',
-                'class'        => ''
+                'id'              => '',
+                'name'            => 'notes',
+                'items'           => [],
+                'editable'        => true,
+                'markdown'        => true,
+                'has_more'        => false,
+                'placeholder'     => __( 'Add a note... (Shift+Enter to submit)', 'arraypress' ),
+                'empty_text'      => __( 'No notes yet.', 'arraypress' ),
+                'object_type'     => '',
+                'ajax_add'        => '',
+                'ajax_delete'     => '',
+                'ajax_edit'       => '',
+                'ajax_pin'        => '',
+                'ajax_load_more'  => '',
+                'ajax_mentions'   => '',
+                'add_nonce'       => '',
+                'delete_nonce'    => '',
+                'edit_nonce'      => '',
+                'pin_nonce'       => '',
+                'load_more_nonce' => '',
+                'mentions_nonce'  => '',
+                'class'           => ''
         ];
     }
 
@@ -83,16 +132,32 @@ class Notes implements Renderable {
              data-object-type="<?php echo esc_attr( $this->config['object_type'] ); ?>"
              data-ajax-add="<?php echo esc_attr( $this->config['ajax_add'] ); ?>"
              data-ajax-delete="<?php echo esc_attr( $this->config['ajax_delete'] ); ?>"
+             data-ajax-edit="<?php echo esc_attr( $this->config['ajax_edit'] ); ?>"
+             data-ajax-pin="<?php echo esc_attr( $this->config['ajax_pin'] ); ?>"
+             data-ajax-load-more="<?php echo esc_attr( $this->config['ajax_load_more'] ); ?>"
              data-add-nonce="<?php echo esc_attr( $this->config['add_nonce'] ?? '' ); ?>"
-             data-delete-nonce="<?php echo esc_attr( $this->config['delete_nonce'] ?? '' ); ?>">
+             data-delete-nonce="<?php echo esc_attr( $this->config['delete_nonce'] ?? '' ); ?>"
+             data-edit-nonce="<?php echo esc_attr( $this->config['edit_nonce'] ?? '' ); ?>"
+             data-pin-nonce="<?php echo esc_attr( $this->config['pin_nonce'] ?? '' ); ?>"
+             data-load-more-nonce="<?php echo esc_attr( $this->config['load_more_nonce'] ?? '' ); ?>"
+             data-ajax-mentions="<?php echo esc_attr( $this->config['ajax_mentions'] ); ?>"
+             data-mentions-nonce="<?php echo esc_attr( $this->config['mentions_nonce'] ?? '' ); ?>"
+             data-editable="<?php echo $this->config['editable'] ? 'true' : 'false'; ?>"
+             data-markdown="<?php echo $this->config['markdown'] ? 'true' : 'false'; ?>">
 
             <div class="notes-list">
                 <?php if ( empty( $this->config['items'] ) ) : ?>
                     <p class="no-notes"><?php echo esc_html( $this->config['empty_text'] ); ?></p>
                 <?php else : ?>
-                    <?php foreach ( $this->config['items'] as $note ) : ?>
-                        <?php $this->render_note( $note ); ?>
-                    <?php endforeach; ?>
+                    <?php $this->render_notes( $this->config['items'] ); ?>
+                <?php endif; ?>
+
+                <?php if ( $this->config['has_more'] && $this->config['ajax_load_more'] ) : ?>
+                    <div class="notes-load-more">
+                        <button type="button" class="button" data-action="load-more-notes">
+                            <?php esc_html_e( 'Load more notes', 'arraypress' ); ?>
+                        </button>
+                    </div>
                 <?php endif; ?>
             </div>
 
@@ -100,10 +165,21 @@ class Notes implements Renderable {
                 <div class="note-add-form">
                     <textarea placeholder="<?php echo esc_attr( $this->config['placeholder'] ); ?>"
                               rows="3"></textarea>
+                    <?php if ( $this->config['markdown'] ) : ?>
+                        <div class="note-preview note-content" hidden></div>
+                    <?php endif; ?>
                     <p>
                         <button type="button" class="button button-primary" data-action="add-note">
                             Add Note
                         </button>
+                        <?php if ( $this->config['markdown'] ) : ?>
+                            <button type="button" class="button-link" data-action="toggle-preview" aria-pressed="false">
+                                <?php esc_html_e( 'Preview', 'arraypress' ); ?>
+                            </button>
+                            <span class="note-format-help">
+                                <?php esc_html_e( 'Supports **bold**, `code`, [links](https://…) and - lists', 'arraypress' ); ?>
+                            </span>
+                        <?php endif; ?>
                     </p>
                 </div>
             <?php endif; ?>
@@ -112,14 +188,61 @@ class Notes implements Renderable {
         return ob_get_clean();
     }
 
+    /**
+     * Build the response for a batch of older notes
+     *
+     * @since 1.1.0
+     *
+     * @param array $result Callback result with 'items' and 'has_more'
+     *
+     * @return array{html: string, has_more: bool}
+     */
+    public function get_items_response( array $result ): array {
+        ob_start();
+        $this->render_notes( (array) ( $result['items'] ?? [] ) );
+
+        return [
+                'html'     => ob_get_clean(),
+                'has_more' => ! empty( $result['has_more'] )
+        ];
+    }
+
+    /**
+     * Render notes with pinned notes first
+     *
+     * @since 1.1.0
+     *
+     * @param array $notes Notes to render
+     */
+    private function render_notes( array $notes ): void {
+        $notes = array_map( fn( $note ) => (array) $note, $notes );
+
+        // Split instead of sorting, so each group keeps the given order
+        $notes = array_merge(
+                array_filter( $notes, fn( $note ) => ! empty( $note['pinned'] ) ),
+                array_filter( $notes, fn( $note ) => empty( $note['pinned'] ) )
+        );
+
+        foreach ( $notes as $note ) {
+            $this->render_note( $note );
+        }
+    }
+
     /**
      * Render single note
      *
      * @param array $note Note data
      */
     private function render_note( array $note ): void {
+        $content  = (string) ( $note['content'] ?? '' );
+        $editable = $this->config['editable'];
+        $can_edit = $editable && $this->config['ajax_edit'] && ! empty( $note['can_edit'] );
+        $can_pin  = $editable && $this->config['ajax_pin'];
+        $pinned   = ! empty( $note['pinned'] );
+        $mentions = self::normalize_mentions( $note['mentions'] ?? [] );
         ?>
-        <div class="note-item" data-note-id="<?php echo esc_attr( $note['id'] ?? '' ); ?>">
+        <div class="note-item<?php echo $pinned ? ' is-pinned' : ''; ?>"
+             data-note-id="<?php echo esc_attr( $note['id'] ?? '' ); ?>"<?php echo $can_edit ? ' data-content="' . esc_attr( $content ) . '"' : ''; ?><?php echo $can_edit && $mentions ? ' data-mentions="' . esc_attr( wp_json_encode( $mentions ) ) . '"' : ''; ?>>
             <div class="note-header">
                 <?php if ( ! empty( $note['author'] ) ) : ?>
                     <span class="note-author"><?php echo esc_html( $note['author'] ); ?></span>
@@ -129,17 +252,250 @@ class Notes implements Renderable {
                     <span class="note-date"><?php echo esc_html( $note['formatted_date'] ); ?></span>
                 <?php endif; ?>
 
-                <?php if ( $this->config['editable'] && $this->config['ajax_delete'] && ! empty( $note['can_delete'] ) ) : ?>
+                <?php if ( ! empty( $note['edited'] ) ) : ?>
+                    <span class="note-edited"<?php echo is_string( $note['edited'] ) ? ' title="' . esc_attr( $note['edited'] ) . '"' : ''; ?>>
+                        <?php esc_html_e( 'edited', 'arraypress' ); ?>
+                    </span>
+                <?php endif; ?>
+
+                <?php if ( $can_pin ) : ?>
+                    <button type="button" class="button-link" data-action="pin-note"
+                            aria-pressed="<?php echo $pinned ? 'true' : 'false'; ?>"
+                            aria-label="<?php echo esc_attr( $pinned ? __( 'Unpin note', 'arraypress' ) : __( 'Pin note', 'arraypress' ) ); ?>">
+                        <span class="dashicons dashicons-admin-post"></span>
+                    </button>
+                <?php elseif ( $pinned ) : ?>
+                    <span class="note-pin-indicator dashicons dashicons-admin-post"
+                          aria-label="<?php esc_attr_e( 'Pinned', 'arraypress' ); ?>"></span>
+                <?php endif; ?>
+
+                <?php if ( $can_edit ) : ?>
+                    <button type="button" class="button-link" data-action="edit-note"
+                            aria-label="<?php esc_attr_e( 'Edit note', 'arraypress' ); ?>">
+                        <span class="dashicons dashicons-edit"></span>
+                    </button>
+                <?php endif; ?>
+
+                <?php if ( $editable && $this->config['ajax_delete'] && ! empty( $note['can_delete'] ) ) : ?>
                     <button type="button" class="button-link" data-action="delete-note">
                         <span class="dashicons dashicons-trash"></span>
                     </button>
                 <?php endif; ?>
             </div>
             <div class="note-content">
-                <?php echo nl2br( esc_html( $note['content'] ?? '' ) ); ?>
+                <?php echo $this->format_content( $content, $mentions ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
             </div>
         </div>
         <?php
     }
 
-}
\ No newline at end of file
+    /**
+     * Get the valid user IDs mentioned in an add or edit request
+     *
+     * @since 1.1.0
+     *
+     * @param array $request Request data ($_POST)
+     *
+     * @return int[] IDs of existing users
+     */
+    public static function get_mentioned_users( array $request ): array {
+        $ids = array_unique( array_filter( array_map( 'absint', (array) ( $request['mentions'] ?? [] ) ) ) );
+
+        return array_values( array_filter( $ids, fn( $id ) => (bool) get_userdata( $id ) ) );
+    }
+
+    /**
+     * Format note content for display
+     *
+     * Mirrors WPFlyoutNotes.renderMarkdown() so notes look the same whether
+     * rendered here or added on the client.
+     *
+     * @since 1.1.0
+     *
+     * @param string $content  Raw note content
+     * @param array  $mentions Normalized mentions
+     *
+     * @return string Safe HTML
+     */
+    private function format_content( string $content, array $mentions = [] ): string {
+        if ( ! $this->config['markdown'] ) {
+            $html = nl2br( esc_html( $content ) );
+        } else {
+            $html = self::render_markdown( $content );
+        }
+
+        return wp_kses( self::render_mentions( $html, $mentions ), self::ALLOWED_HTML );
+    }
+
+    /**
+     * Normalize a note's mentions to a list of IDs and names
+     *
+     * Accepts [ 'id' => ..., 'name' => ... ] entries or id => name pairs.
+     *
+     * @since 1.1.0
+     *
+     * @param mixed $mentions Mentions from the note data
+     *
+     * @return array<array{id: int, name: string}>
+     */
+    private static function normalize_mentions( $mentions ): array {
+        $normalized = [];
+
+        foreach ( (array) $mentions as $key => $mention ) {
+            if ( is_array( $mention ) ) {
+                $id   = absint( $mention['id'] ?? 0 );
+                $name = (string) ( $mention['name'] ?? '' );
+            } else {
+                $id   = absint( $key );
+                $name = (string) $mention;
+            }
+
+            if ( $id && $name !== '' ) {
+                $normalized[] = [ 'id' => $id, 'name' => $name ];
+            }
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Wrap "@Name" mentions in formatted content with chips
+     *
+     * Longer names are matched first so "@Ann Lee" wins over "@Ann". Only
+     * text between tags is matched, outside code spans, so attributes such
+     * as link URLs are never touched.
+     *
+     * @since 1.1.0
+     *
+     * @param string $html     Formatted content
+     * @param array  $mentions Normalized mentions
+     *
+     * @return string HTML
+     */
+    private static function render_mentions( string $html, array $mentions ): string {
+        if ( empty( $mentions ) ) {
+            return $html;
+        }
+
+        $users = [];
+        foreach ( $mentions as $mention ) {
+            $users[ esc_html( $mention['name'] ) ] = $mention['id'];
+        }
+
+        $names = array_keys( $users );
+        usort( $names, fn( $a, $b ) => strlen( (string) $b ) - strlen( (string) $a ) );
+
+        $pattern = '/@(' . implode( '|', array_map( fn( $name ) => preg_quote( (string) $name, '/' ), $names ) ) . ')(?![\w-])/u';
+
+        $parts   = preg_split( '/(<[^>]*>)/', $html, -1, PREG_SPLIT_DELIM_CAPTURE );
+        $in_code = false;
+
+        foreach ( $parts as &$part ) {
+            if ( $part !== '' && $part[0] === '<' ) {
+                if ( preg_match( '#^<(/?)code\b#i', $part, $tag ) ) {
+                    $in_code = $tag[1] === '';
+                }
+                continue;
+            }
+
+            if ( ! $in_code ) {
+                $part = (string) preg_replace_callback( $pattern, function ( $match ) use ( $users ) {
+                    return '<span class="note-mention" data-user-id="' . esc_attr( (string) $users[ $match[1] ] ) . '">@' . $match[1] . '</span>';
+                }, $part );
+            }
+        }
+        unset( $part );
+
+        return implode( '', $parts );
+    }
+
+    /**
+     * Render the supported markdown subset
+     *
+     * Lines starting with "- " or "* " form bulleted lists and lines
+     * starting with "1. " numbered lists. Other lines are joined with
+     * line breaks. The text is escaped before any markup is added.
+     *
+     * @since 1.1.0
+     *
+     * @param string $text Markdown text
+     *
+     * @return string HTML
+     */
+    private static function render_markdown( string $text ): string {
+        $lines  = preg_split( '/\r\n|\r|\n/', $text );
+        $html   = '';
+        $list   = '';
+        $breaks = false;
+
+        foreach ( $lines as $line ) {
+            if ( preg_match( '/^\s*[-*]\s+(.*)$/', $line, $match ) ) {
+                $type = 'ul';
+            } elseif ( preg_match( '/^\s*\d+\.\s+(.*)$/', $line, $match ) ) {
+                $type = 'ol';
+            } else {
+                $type = '';
+            }
+
+            if ( $list && $list !== $type ) {
+                $html .= '</' . $list . '>';
+                $list = '';
+            }
+
+            if ( $type ) {
+                if ( ! $list ) {
+                    $html .= '<' . $type . '>';
+                    $list = $type;
+                }
+
+                $html   .= '<li>' . self::render_inline( $match[1] ) . '</li>';
+                $breaks = false;
+                continue;
+            }
+
+            $html   .= ( $breaks ? '<br>' : '' ) . self::render_inline( $line );
+            $breaks = true;
+        }
+
+        if ( $list ) {
+            $html .= '</' . $list . '>';
+        }
+
+        return $html;
+    }
+
+    /**
+     * Render inline markdown: code, bold and links
+     *
+     * Code spans are set aside first so their contents stay literal. Only
+     * http, https and mailto links are turned into anchors.
+     *
+     * @since 1.1.0
+     *
+     * @param string $text Line of markdown text
+     *
+     * @return string HTML
+     */
+    private static function render_inline( string $text ): string {
+        $codes = [];
+
+        $text = preg_replace_callback( '/`([^`]+)`/', function ( $match ) use ( &$codes ) {
+            $codes[] = '<code>' . esc_html( $match[1] ) . '</code>';
+
+            return "\x00" . ( count( $codes ) - 1 ) . "\x00";
+        }, $text );
+
+        $text = esc_html( $text );
+
+        $text = preg_replace( '/\*\*(.+?)\*\*/', '<strong>$1</strong>', $text );
+
+        $text = preg_replace_callback( '/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/', function ( $match ) {
+            $url = esc_url( html_entity_decode( $match[2], ENT_QUOTES ) );
+
+            return '<a href="' . $url . '" target="_blank" rel="noopener noreferrer">' . $match[1] . '</a>';
+        }, $text );
+
+        return preg_replace_callback( '/\x00(\d+)\x00/', fn( $match ) => $codes[ (int) $match[1] ] ?? '', $text );
+    }
+
+}
@@ -3,7 +3,8 @@
  * ProgressSteps Component
  *
  * Displays step indicators for multi-step processes with visual progress tracking.
- * Supports completed, current, and upcoming step states.
+ * Supports completed, current, and upcoming step states, and can drive a
+ * client-side wizard that ties each step to a tab or panel.
  *
  * @package     ArrayPress\WPFlyout\Components\Display
  * @copyright   Copyright (c) 2025, ArrayPress Limited
@@ -37,6 +38,8 @@ class ProgressSteps implements Renderable {
      *     current: int,
      *     style: string,
      *     clickable: bool,
+     *     wizard: bool,
+     *     panels: array<string>,
      *     class: string
      * }
      */
@@ -53,6 +56,11 @@ class ProgressSteps implements Renderable {
      * @type int    $current   Current step number (1-based)
      * @type string $style     Display style: 'numbers', 'icons', 'simple'
      * @type bool   $clickable Whether steps are clickable for navigation
+     * @type bool   $wizard    Whether to add Next/Back navigation that
+     *                         validates each step before moving on
+     * @type array  $panels    Tab IDs or CSS selectors of the panel shown
+     *                         for each step, in step order. Defaults to the
+     *                         flyout's tabs, or [data-wizard-step] elements
      * @type string $class     Additional CSS classes
      *                         }
      * @since 1.0.0
@@ -87,6 +95,8 @@ class ProgressSteps implements Renderable {
                 'current'   => 1,
                 'style'     => 'numbers', // 'numbers', 'icons', 'simple'
                 'clickable' => false,
+                'wizard'    => false,
+                'panels'    => [],
                 'class'     => ''
         ];
     }
@@ -112,6 +122,10 @@ class ProgressSteps implements Renderable {
             $classes[] = 'is-clickable';
         }
 
+        if ( $this->config['wizard'] ) {
+            $classes[] = 'is-wizard';
+        }
+
         if ( ! empty( $this->config['class'] ) ) {
             $classes[] = $this->config['class'];
         }
@@ -121,6 +135,11 @@ class ProgressSteps implements Renderable {
         <div id="<?php echo esc_attr( $this->config['id'] ); ?>"
              class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>"
              data-current="<?php echo esc_attr( (string) $this->config['current'] ); ?>"
+            <?php if ( $this->config['wizard'] ) : ?>
+             data-wizard="true"
+             data-next-text="<?php esc_attr_e( 'Next', 'wp-flyout' ); ?>"
+             data-back-text="<?php esc_attr_e( 'Back', 'wp-flyout' ); ?>"
+            <?php endif; ?>
              role="navigation"
              aria-label="<?php esc_attr_e( 'Progress steps', 'wp-flyout' ); ?>">
 
@@ -175,6 +194,7 @@ class ProgressSteps implements Renderable {
         }
 
         $aria_current = $is_current ? 'step' : 'false';
+        $panel        = $this->config['panels'][ $step_number - 1 ] ?? '';
         $aria_label   = sprintf(
         /* translators: 1: step number, 2: total steps, 3: step label */
                 __( 'Step %1$d of %2$d: %3$s', 'wp-flyout' ),
@@ -185,6 +205,9 @@ class ProgressSteps implements Renderable {
         ?>
         <li class="<?php echo esc_attr( implode( ' ', $step_classes ) ); ?>"
             data-step="<?php echo esc_attr( (string) $step_number ); ?>"
+            <?php if ( $panel !== '' ) : ?>
+            data-panel="<?php echo esc_attr( $panel ); ?>"
+            <?php endif; ?>
             aria-current="<?php echo esc_attr( $aria_current ); ?>">
 
             <?php if ( $this->config['clickable'] && ! $is_current ) : ?>
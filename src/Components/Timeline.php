@@ -2,7 +2,12 @@
 /**
  * Timeline Component - Simplified
  *
- * Displays chronological events in a vertical timeline format.
+ * Displays chronological events in a vertical timeline format, newest first.
+ * Dates can be shown relative to now ("3 minutes ago") with the absolute
+ * time in a tooltip, and older events can be loaded on demand through a
+ * load_more_callback, which receives the request ($_POST with offset,
+ * before and the record id) and returns an array with 'items' and
+ * 'has_more'.
  *
  * @package     ArrayPress\WPFlyout\Components\Data
  * @copyright   Copyright (c) 2025, ArrayPress Limited
@@ -37,14 +42,20 @@ class Timeline implements Renderable {
     /**
      * Constructor
      *
-     * @param array $config  {
-     *                       Configuration options
+     * @param array $config         {
+     *                              Configuration options
      *
-     * @type string $id      Component ID (auto-generated if empty)
-     * @type array  $items   Array of timeline items (was 'events')
-     * @type bool   $compact Use compact display mode
-     * @type string $class   Additional CSS classes
-     *                       }
+     * @type string $id              Component ID (auto-generated if empty)
+     * @type array  $items           Array of timeline items (was 'events')
+     * @type bool   $compact         Use compact display mode
+     * @type string $class           Additional CSS classes
+     * @type bool   $relative_dates  Show dates relative to now
+     * @type bool   $has_more        Whether older events can be loaded
+     * @type string $load_more_text  Text of the load more button
+     * @type string $ajax_load_more  AJAX action loading older events, set by
+     *                               Manager from load_more_callback
+     * @type string $load_more_nonce Nonce for the load more action
+     *                              }
      * @since 1.0.0
      *
      */
@@ -68,10 +79,15 @@ class Timeline implements Renderable {
      */
     private static function get_defaults(): array {
         return [
-                'id'      => '',
-                'items'   => [],  // Changed from 'events' to 'items'
-                'compact' => false,
-                'class'   => ''
+                'id'              => '',
+                'items'           => [],  // Changed from 'events' to 'items'
+                'compact'         => false,
+                'class'           => '',
+                'relative_dates'  => true,
+                'has_more'        => false,
+                'load_more_text'  => __( 'Load older events', 'wp-flyout' ),
+                'ajax_load_more'  => '',
+                'load_more_nonce' => ''
         ];
     }
 
@@ -83,7 +99,9 @@ class Timeline implements Renderable {
      *
      */
     public function render(): string {
-        if ( empty( $this->config['items'] ) ) {
+        $can_load_more = $this->config['has_more'] && $this->config['ajax_load_more'];
+
+        if ( empty( $this->config['items'] ) && ! $can_load_more ) {
             return '';
         }
 
@@ -98,20 +116,69 @@ class Timeline implements Renderable {
         ob_start();
         ?>
         <div id="<?php echo esc_attr( $this->config['id'] ); ?>"
-             class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>">
-            <?php
-            $total = count( $this->config['items'] );
-            $index = 0;
-            foreach ( $this->config['items'] as $item ) :
-                $this->render_item( $item, $index, $total );
-                $index++;
-            endforeach;
-            ?>
+             class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>"
+            <?php if ( $this->config['relative_dates'] ) : ?>
+             data-relative-dates="true"
+            <?php endif; ?>
+            <?php if ( $this->config['ajax_load_more'] ) : ?>
+             data-ajax-load-more="<?php echo esc_attr( $this->config['ajax_load_more'] ); ?>"
+             data-load-more-nonce="<?php echo esc_attr( $this->config['load_more_nonce'] ); ?>"
+            <?php endif; ?>>
+            <?php $this->render_items( $this->config['items'], ! $can_load_more ); ?>
+
+            <?php if ( $can_load_more ) : ?>
+                <div class="timeline-load-more">
+                    <button type="button" class="button timeline-load-more-btn">
+                        <?php echo esc_html( $this->config['load_more_text'] ); ?>
+                    </button>
+                </div>
+            <?php endif; ?>
         </div>
         <?php
         return ob_get_clean();
     }
 
+    /**
+     * Build the response for a batch of older events
+     *
+     * @since 1.1.0
+     *
+     * @param array $result Callback result with 'items' and 'has_more'
+     *
+     * @return array{html: string, has_more: bool}
+     */
+    public function get_items_response( array $result ): array {
+        $has_more = ! empty( $result['has_more'] );
+
+        ob_start();
+        $this->render_items( (array) ( $result['items'] ?? [] ), ! $has_more );
+
+        return [
+                'html'     => ob_get_clean(),
+                'has_more' => $has_more
+        ];
+    }
+
+    /**
+     * Render a list of timeline items
+     *
+     * @since 1.1.0
+     *
+     * @param array $items    Items to render
+     * @param bool  $complete Whether the last item ends the timeline
+     *
+     * @return void
+     */
+    private function render_items( array $items, bool $complete ): void {
+        $total = count( $items );
+        $index = 0;
+
+        foreach ( $items as $item ) {
+            $this->render_item( (array) $item, $index, $complete ? $total : $total + 1 );
+            $index++;
+        }
+    }
+
     /**
      * Render single timeline item
      *
@@ -151,7 +218,7 @@ class Timeline implements Renderable {
             </div>
             <div class="timeline-content">
                 <?php if ( $date ) : ?>
-                    <div class="timeline-date"><?php echo esc_html( $date ); ?></div>
+                    <?php $this->render_date( $date ); ?>
                 <?php endif; ?>
 
                 <h4 class="timeline-title"><?php echo esc_html( $title ); ?></h4>
@@ -164,4 +231,63 @@ class Timeline implements Renderable {
         <?php
     }
 
+    /**
+     * Render an item date
+     *
+     * Dates that can be parsed are output as a <time> element with the
+     * absolute time in a tooltip, which the script turns into a relative
+     * date. Others are shown as given.
+     *
+     * @since 1.1.0
+     *
+     * @param mixed $date Date string or Unix timestamp
+     *
+     * @return void
+     */
+    private function render_date( $date ): void {
+        $timestamp = self::parse_date( $date );
+
+        if ( $timestamp === null ) {
+            ?>
+            <div class="timeline-date"><?php echo esc_html( (string) $date ); ?></div>
+            <?php
+            return;
+        }
+
+        $absolute = wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $timestamp );
+        $label    = is_numeric( $date ) ? $absolute : (string) $date;
+        ?>
+        <time class="timeline-date"
+              datetime="<?php echo esc_attr( gmdate( 'c', $timestamp ) ); ?>"
+              title="<?php echo esc_attr( $absolute ); ?>"><?php echo esc_html( $label ); ?></time>
+        <?php
+    }
+
+    /**
+     * Parse an item date into a Unix timestamp
+     *
+     * Dates without a timezone are read in the site timezone.
+     *
+     * @since 1.1.0
+     *
+     * @param mixed $date Date string or Unix timestamp
+     *
+     * @return int|null Timestamp or null when the date can't be parsed
+     */
+    private static function parse_date( $date ): ?int {
+        if ( is_numeric( $date ) ) {
+            return (int) $date;
+        }
+
+        if ( ! is_string( $date ) || trim( $date ) === '' ) {
+            return null;
+        }
+
+        try {
+            return ( new \DateTimeImmutable( $date, wp_timezone() ) )->getTimestamp();
+        } catch ( \Exception $e ) {
+            return null;
+        }
+    }
+
 }
\ No newline at end of file
@@ -412,6 +412,10 @@ class Flyout {
         ?>
         <div id="<?php echo esc_attr( $this->id ); ?>"
              class="<?php echo esc_attr( implode( ' ', array_filter( $classes ) ) ); ?>"
+             role="dialog"
+             aria-modal="true"
+             aria-labelledby="<?php echo esc_attr( $this->id . '-title' ); ?>"
+             tabindex="-1"
              data-flyout-id="<?php echo esc_attr( $this->id ); ?>">
 
             <?php do_action( 'wp_flyout_before_header', $this->id, $this->config ); ?>
@@ -442,9 +446,9 @@ class Flyout {
         ?>
         <div class="wp-flyout-header">
             <div class="wp-flyout-header-content">
-                <h2 class="wp-flyout-title"><?php echo esc_html( $this->config['title'] ); ?></h2>
+                <h2 class="wp-flyout-title" id="<?php echo esc_attr( $this->id . '-title' ); ?>"><?php echo esc_html( $this->config['title'] ); ?></h2>
                 <?php if ( ! empty( $this->config['subtitle'] ) ) : ?>
-                    <p class="wp-flyout-subtitle"><?php echo esc_html( $this->config['subtitle'] ); ?></p>
+                    <p class="wp-flyout-subtitle" id="<?php echo esc_attr( $this->id . '-subtitle' ); ?>"><?php echo esc_html( $this->config['subtitle'] ); ?></p>
                 <?php endif; ?>
             </div>
             <button type="button" class="wp-flyout-close" aria-label="<?php esc_attr_e( 'Close', 'wp-flyout' ); ?>">
@@ -15,9 +15,14 @@ declare( strict_types=1 );
 
 namespace ArrayPress\WPFlyout;
 
+use ArrayPress\WPFlyout\Components\DataTable;
 use ArrayPress\WPFlyout\Components\FormField;
+use ArrayPress\WPFlyout\Components\LineItems;
+use ArrayPress\WPFlyout\Components\Notes;
+use ArrayPress\WPFlyout\Components\Timeline;
 use ArrayPress\WPFlyout\Parts\ActionBar;
 use Exception;
+use WP_Error;
 
 /**
  * Class Manager
@@ -91,6 +96,10 @@ class Manager {
 		add_action( 'wp_ajax_wp_flyout_' . $this->prefix, [ $this, 'handle_ajax' ] );
 		add_action( 'wp_ajax_nopriv_wp_flyout_' . $this->prefix, [ $this, 'handle_ajax' ] );
 
+		// Fresh nonces for flyouts left open past nonce expiry
+		add_action( 'wp_ajax_wp_flyout_' . $this->prefix . '_refresh_nonce', [ $this, 'handle_nonce_refresh' ] );
+		add_action( 'wp_ajax_nopriv_wp_flyout_' . $this->prefix . '_refresh_nonce', [ $this, 'handle_nonce_refresh' ] );
+
 		// Auto-enqueue assets on admin pages
 		add_action( 'admin_enqueue_scripts', [ $this, 'maybe_enqueue_assets' ] );
 	}
@@ -121,6 +130,9 @@ class Manager {
 			'load'        => null,
 			'save'        => null,
 			'delete'      => null,
+			'deep_link'   => false,
+			'cache'       => 0,
+			'prefetch'    => false,
 		];
 
 		$config = wp_parse_args( $config, $defaults );
@@ -170,11 +182,18 @@ class Manager {
 	private function register_component_endpoints( string $flyout_id, array &$config ): void {
 		// Define callback to AJAX field mappings
 		$callback_mappings = [
-			'search_callback'  => 'ajax_search',
-			'details_callback' => 'ajax_details',
-			'add_callback'     => 'ajax_add',
-			'delete_callback'  => 'ajax_delete',
-			'options_callback' => 'ajax_options'
+			'search_callback'    => 'ajax_search',
+			'details_callback'   => 'ajax_details',
+			'add_callback'       => 'ajax_add',
+			'delete_callback'    => 'ajax_delete',
+			'edit_callback'      => 'ajax_edit',
+			'pin_callback'       => 'ajax_pin',
+			'mentions_callback'  => 'ajax_mentions',
+			'create_callback'    => 'ajax_create',
+			'coupon_callback'    => 'ajax_coupon',
+			'options_callback'   => 'ajax_options',
+			'rows_callback'      => 'ajax_rows',
+			'load_more_callback' => 'ajax_load_more'
 		];
 
 		foreach ( $config['fields'] as $field_key => &$field ) {
@@ -196,6 +215,7 @@ class Manager {
 
 				// Register the AJAX handler
 				add_action( 'wp_ajax_' . $action_name, function () use ( $field, $callback_key, $action_name, $config ) {
+					// The client tells this error apart from permission errors
 					if ( ! check_ajax_referer( $action_name, '_wpnonce', false ) ) {
 						wp_send_json_error( 'Security check failed', 403 );
 					}
@@ -212,14 +232,75 @@ class Manager {
 						wp_send_json_error( $result->get_error_message() );
 					}
 
-					wp_send_json_success( $result );
+					wp_send_json_success( $this->prepare_component_response( $field, $callback_key, $result ) );
 				} );
 			}
 		}
 	}
 
 	/**
-	 * Register AJAX endpoints for action components (buttons and menus)
+	 * Prepare a component callback result for the client
+	 *
+	 * Components that load more markup over AJAX render it here, so table
+	 * rows, timeline items and notes match the ones rendered into the flyout.
+	 * Notes that mention users also fire the wp_flyout_note_mentions action
+	 * here, so the mentioned users can be notified, and line item coupons
+	 * are normalized to the shape the totals calculation expects.
+	 *
+	 * @param array  $field        Field configuration
+	 * @param string $callback_key Callback that produced the result
+	 * @param mixed  $result       Callback result
+	 *
+	 * @return mixed Response data
+	 * @since 1.1.0
+	 */
+	private function prepare_component_response( array $field, string $callback_key, $result ) {
+		$type = $field['type'] ?? '';
+
+		if ( $type === 'data_table' && $callback_key === 'rows_callback' ) {
+			return ( new DataTable( $field ) )->get_rows_response( (array) $result );
+		}
+
+		if ( $type === 'timeline' && $callback_key === 'load_more_callback' ) {
+			return ( new Timeline( $field ) )->get_items_response( (array) $result );
+		}
+
+		if ( $type === 'notes' && $callback_key === 'load_more_callback' ) {
+			return ( new Notes( $field ) )->get_items_response( (array) $result );
+		}
+
+		if ( $type === 'line_items' && $callback_key === 'coupon_callback' ) {
+			$coupon = LineItems::normalize_coupon( $result );
+
+			if ( ! $coupon ) {
+				wp_send_json_error( __( 'This coupon code is not valid.', 'wp-flyout' ) );
+			}
+
+			return $coupon;
+		}
+
+		if ( $type === 'notes' && in_array( $callback_key, [ 'add_callback', 'edit_callback' ], true ) ) {
+			$user_ids = Notes::get_mentioned_users( $_POST );
+
+			if ( $user_ids ) {
+				/**
+				 * Fires after a note mentioning users was added or edited
+				 *
+				 * @param int[]  $user_ids     IDs of the mentioned users
+				 * @param mixed  $result       Add or edit callback result
+				 * @param array  $field        Notes field configuration
+				 * @param string $callback_key 'add_callback' or 'edit_callback'
+				 * @param string $prefix       Manager prefix
+				 */
+				do_action( 'wp_flyout_note_mentions', $user_ids, $result, $field, $callback_key, $this->prefix );
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Register AJAX endpoints for action components (buttons, menus and table bulk actions)
 	 *
 	 * @param string $flyout_id Flyout identifier
 	 * @param array  $config    Flyout configuration
@@ -237,6 +318,8 @@ class Manager {
 				$items = $field['buttons'] ?? [];
 			} elseif ( $type === 'action_menu' ) {
 				$items = $field['items'] ?? [];
+			} elseif ( $type === 'data_table' ) {
+				$items = $field['bulk_actions'] ?? [];
 			} else {
 				continue;
 			}
@@ -333,6 +416,41 @@ class Manager {
 		}
 	}
 
+	/**
+	 * Send a fresh nonce for a flyout
+	 *
+	 * Lets long-open flyouts recover after their nonce expired. The request
+	 * itself is not nonce-checked; it only returns a nonce to a logged-in
+	 * user who could open the flyout anyway. Logged-out users get a
+	 * login_required error so the client can prompt them to log in again.
+	 *
+	 * @return void Sends JSON response and exits
+	 * @since 1.1.0
+	 */
+	public function handle_nonce_refresh(): void {
+		if ( ! is_user_logged_in() ) {
+			wp_send_json_error( [
+				'code'      => 'login_required',
+				'message'   => __( 'Your session has expired. Please log in again.', 'wp-flyout' ),
+				'login_url' => wp_login_url(),
+			], 401 );
+		}
+
+		$flyout_id = sanitize_key( $_POST['flyout'] ?? '' );
+
+		if ( ! isset( $this->flyouts[ $flyout_id ] ) ) {
+			wp_send_json_error( 'Invalid flyout', 400 );
+		}
+
+		if ( ! $this->can_access( $flyout_id ) ) {
+			wp_send_json_error( 'Insufficient permissions', 403 );
+		}
+
+		wp_send_json_success( [
+			'nonce' => wp_create_nonce( 'wp_flyout_' . $this->prefix . '_' . $flyout_id ),
+		] );
+	}
+
 	/**
 	 * Validate AJAX request and check permissions
 	 *
@@ -350,6 +468,7 @@ class Manager {
 
 		$config = $this->flyouts[ $flyout_id ];
 
+		// The client tells this error apart from permission errors
 		if ( ! check_ajax_referer( 'wp_flyout_' . $this->prefix . '_' . $flyout_id, 'nonce', false ) ) {
 			throw new Exception( 'Security check failed', 403 );
 		}
@@ -420,10 +539,15 @@ class Manager {
 			$validation = call_user_func( $config['validate'], $form_data );
 
 			if ( is_wp_error( $validation ) ) {
-				wp_send_json_error(
-					$validation->get_error_message(),
-					400
-				);
+				wp_send_json_error( $this->build_error_response( $validation ), 400 );
+			}
+
+			// Array of field errors keyed by field name
+			if ( is_array( $validation ) && ! empty( $validation ) ) {
+				wp_send_json_error( [
+					'message' => __( 'Please correct the errors below.', 'wp-flyout' ),
+					'errors'  => $validation
+				], 400 );
 			}
 
 			if ( $validation === false ) {
@@ -438,16 +562,14 @@ class Manager {
 		do_action( 'wp_flyout_after_save', $result, $id, $form_data, $config, $this->prefix );
 
 		if ( is_wp_error( $result ) ) {
-			wp_send_json_error( $result->get_error_message(), 400 );
+			wp_send_json_error( $this->build_error_response( $result ), 400 );
 		}
 
 		if ( $result === false ) {
 			wp_send_json_error( __( 'Save failed', 'wp-flyout' ), 500 );
 		}
 
-		wp_send_json_success( [
-			'message' => __( 'Saved successfully', 'wp-flyout' )
-		] );
+		wp_send_json_success( $this->build_response( $result, __( 'Saved successfully', 'wp-flyout' ) ) );
 	}
 
 	/**
@@ -480,9 +602,82 @@ class Manager {
 			wp_send_json_error( __( 'Delete failed', 'wp-flyout' ), 500 );
 		}
 
-		wp_send_json_success( [
-			'message' => __( 'Deleted successfully', 'wp-flyout' )
-		] );
+		wp_send_json_success( $this->build_response( $result, __( 'Deleted successfully', 'wp-flyout' ) ) );
+	}
+
+	/**
+	 * Build error response from a WP_Error
+	 *
+	 * Errors carrying a single code are sent as a plain message. Errors with
+	 * several codes, or with a 'field' key in their error data, are sent as
+	 * field errors keyed by that field name or by the error code (nested
+	 * names such as line_items[0][quantity] are supported).
+	 *
+	 * @param WP_Error $error Error object
+	 *
+	 * @return string|array Error message or message with field errors
+	 * @since 1.1.0
+	 */
+	private function build_error_response( WP_Error $error ) {
+		$codes = $error->get_error_codes();
+		$data  = (array) $error->get_error_data();
+
+		if ( count( $codes ) < 2 && empty( $data['field'] ) ) {
+			return $error->get_error_message();
+		}
+
+		$errors = [];
+		foreach ( $codes as $code ) {
+			$data  = (array) $error->get_error_data( $code );
+			$field = $data['field'] ?? (string) $code;
+
+			$errors[ $field ] = $error->get_error_message( $code );
+		}
+
+		return [
+			'message' => __( 'Please correct the errors below.', 'wp-flyout' ),
+			'errors'  => $errors
+		];
+	}
+
+	/**
+	 * Build success response from a save/delete callback result
+	 *
+	 * Callbacks may return an array with any of the following keys to update
+	 * the page in place instead of reloading it:
+	 * - message:  Success message to display
+	 * - replace:  Array mapping CSS selectors to replacement HTML
+	 * - remove:   CSS selector or array of selectors to remove
+	 * - redirect: URL to navigate to
+	 * - reload:   Set to false to skip the fallback page reload
+	 *
+	 * @param mixed  $result          Callback result
+	 * @param string $default_message Message used when the result has none
+	 *
+	 * @return array Response data
+	 * @since 1.1.0
+	 */
+	private function build_response( $result, string $default_message ): array {
+		$response = [ 'message' => $default_message ];
+
+		if ( ! is_array( $result ) ) {
+			return $response;
+		}
+
+		// 'record' tells an ajax_select that opened this flyout what was created
+		$allowed = [ 'message', 'replace', 'remove', 'redirect', 'reload', 'record' ];
+
+		foreach ( $allowed as $key ) {
+			if ( isset( $result[ $key ] ) ) {
+				$response[ $key ] = $result[ $key ];
+			}
+		}
+
+		if ( ! empty( $response['redirect'] ) ) {
+			$response['redirect'] = esc_url_raw( $response['redirect'] );
+		}
+
+		return $response;
 	}
 
 	// =========================================================================
@@ -739,10 +934,17 @@ class Manager {
 
 		// Generate nonces for any AJAX actions
 		$ajax_actions = [
-			'ajax_search'  => 'nonce',
-			'ajax_add'     => 'add_nonce',
-			'ajax_delete'  => 'delete_nonce',
-			'ajax_details' => 'details_nonce'
+			'ajax_search'    => 'nonce',
+			'ajax_add'       => 'add_nonce',
+			'ajax_delete'    => 'delete_nonce',
+			'ajax_details'   => 'details_nonce',
+			'ajax_edit'      => 'edit_nonce',
+			'ajax_pin'       => 'pin_nonce',
+			'ajax_mentions'  => 'mentions_nonce',
+			'ajax_create'    => 'create_nonce',
+			'ajax_coupon'    => 'coupon_nonce',
+			'ajax_rows'      => 'rows_nonce',
+			'ajax_load_more' => 'load_more_nonce'
 		];
 
 		foreach ( $ajax_actions as $action => $nonce_field ) {
@@ -770,6 +972,18 @@ class Manager {
 					$field['options'] = call_user_func( $field['options_callback'], $field['value'], $data );
 				}
 			}
+
+			// "Create" opens another flyout of this manager
+			if ( ! empty( $field['create_flyout'] ) ) {
+				$create_flyout = sanitize_key( $field['create_flyout'] );
+
+				if ( $this->can_access( $create_flyout ) ) {
+					$field['create_manager'] = $this->prefix;
+					$field['create_nonce']   = wp_create_nonce( 'wp_flyout_' . $this->prefix . '_' . $create_flyout );
+				} else {
+					unset( $field['create_flyout'] );
+				}
+			}
 		}
 
 		return $field;
@@ -1052,6 +1266,32 @@ class Manager {
 			'data-flyout-nonce'   => wp_create_nonce( 'wp_flyout_' . $this->prefix . '_' . $flyout_id ),
 		];
 
+		// Shown in the loading placeholder before the flyout HTML arrives
+		$config = $this->flyouts[ $flyout_id ] ?? [];
+
+		if ( ! empty( $config['title'] ) && is_string( $config['title'] ) ) {
+			$attrs['data-flyout-title'] = esc_attr( $config['title'] );
+		}
+
+		if ( ! empty( $config['size'] ) ) {
+			$attrs['data-flyout-size'] = esc_attr( $config['size'] );
+		}
+
+		// Reflect the open flyout in the URL ('hash' or 'query')
+		$deep_link = $config['deep_link'] ?? false;
+		if ( $deep_link ) {
+			$attrs['data-flyout-link'] = in_array( $deep_link, [ 'hash', 'query' ], true ) ? $deep_link : 'hash';
+		}
+
+		// Client-side cache lifetime in seconds, and prefetch on hover/focus
+		if ( ! empty( $config['cache'] ) ) {
+			$attrs['data-flyout-cache'] = absint( $config['cache'] );
+		}
+
+		if ( ! empty( $config['prefetch'] ) ) {
+			$attrs['data-flyout-prefetch'] = 'true';
+		}
+
 		foreach ( $data as $key => $value ) {
 			$attrs[ 'data-' . $key ] = esc_attr( (string) $value );
 		}
@@ -78,7 +78,7 @@ class Sanitizer {
 
 			// Selection inputs
 			'select'      => 'sanitize_text_field',
-			'ajax_select' => 'sanitize_text_field',
+			'ajax_select' => [ self::class, 'sanitize_ajax_select' ],
 			'radio'       => 'sanitize_text_field',
 			'toggle'      => [ self::class, 'sanitize_toggle' ],
 
@@ -245,6 +245,13 @@ class Sanitizer {
 		return $date ? $date->format( 'Y-m-d' ) : '';
 	}
 
+	/**
+	 * Sanitize AJAX select field, keeping the order of multiple values
+	 */
+	public static function sanitize_ajax_select( $value ) {
+		return is_array( $value ) ? array_values( self::sanitize_array( $value ) ) : sanitize_text_field( $value );
+	}
+
 	/**
 	 * Sanitize toggle/checkbox field
 	 */
@@ -295,12 +302,29 @@ class Sanitizer {
 				continue;
 			}
 
-			$sanitized[] = [
+			$line = [
 				'id'       => $item_id,
 				'name'     => sanitize_text_field( $item['name'] ?? '' ),
 				'quantity' => max( 1, absint( $item['quantity'] ?? 1 ) ),
 				'price'    => sanitize_currency( $item['price'] ?? 0 ),
 			];
+
+			// Fixed discounts are amounts like prices, percent ones a rate
+			if ( isset( $item['discount'] ) ) {
+				$type = ( $item['discount_type'] ?? 'percent' ) === 'fixed' ? 'fixed' : 'percent';
+
+				$line['discount_type'] = $type;
+				$line['discount']      = $type === 'fixed'
+					? sanitize_currency( $item['discount'] ?: 0 )
+					: min( 100.0, max( 0.0, round( (float) $item['discount'], 4 ) ) );
+			}
+
+			// An empty tax rate falls back to the order rate
+			if ( isset( $item['tax_rate'] ) ) {
+				$line['tax_rate'] = is_numeric( $item['tax_rate'] ) ? max( 0.0, round( (float) $item['tax_rate'], 4 ) ) : '';
+			}
+
+			$sanitized[] = $line;
 		}
 
 		return $sanitized;